@@ -0,0 +1,328 @@
+#!/usr/bin/env node
+// Cliente de linha de comando do cpcon-files (fala só com a API HTTP do servidor).
+//
+//   cpcon-files sync <pasta-local> <pasta[/subpasta]> [--pull] [--delete] [--dry-run] [--force]
+//
+// Compara a pasta local com a subárvore remota por sha256 (GET /checksums) e transfere só o que
+// é novo ou mudou: push (padrão) envia por /upload-manager; --pull baixa. Com --delete, apaga no
+// destino o que não existe na origem (no servidor, vai para a lixeira).
+//
+// Conflito: o arquivo mudou no destino desde a última sincronização (ou, sem histórico, o do destino
+// é mais novo) — não é sobrescrito nem apagado sem --force. Arquivo de um lado e pasta do outro com o
+// mesmo nome é sempre conflito. O histórico (sha256 de cada arquivo na última sincronização) fica em
+// <pasta-local>/.cpcon-sync.json. Ocultos (.*) e pastas de derivados (*.deriv) ficam de fora, como no
+// servidor; os segmentos do caminho remoto seguem as regras de safeSub.
+//
+// Servidor e chave: --server / --key ou CPCON_FILES_URL / CPCON_FILES_KEY.
+// Saída: 0 se tudo sincronizou, 1 com conflitos ou erros, 2 para uso inválido.
+const fs     = require("fs")
+const path   = require("path")
+const crypto = require("crypto")
+const { parseArgs } = require("util")
+const { Readable }  = require("stream")
+const { pipeline }  = require("stream/promises")
+
+const STATE_FILE   = ".cpcon-sync.json"
+const DERIV_SUFFIX = ".deriv"
+
+const USAGE = `Uso: cpcon-files sync <pasta-local> <pasta[/subpasta]> [opções]
+
+  --pull       baixa do servidor (padrão: envia a pasta local)
+  --delete     apaga no destino o que não existe na origem
+  --dry-run    só mostra o que seria feito
+  --force      sobrescreve/apaga mesmo com conflito
+  --server     URL do servidor (ou CPCON_FILES_URL; padrão http://localhost)
+  --key        chave de API (ou CPCON_FILES_KEY)
+
+Ex.: cpcon-files sync ./local material-apoio/2026 --dry-run`
+
+class UsageError extends Error {}
+
+// --- Caminhos ---
+
+// Segmentos ocultos não são alcançáveis pela API; *.deriv é reservado aos derivados
+const ignoredName = (name, isDir) => name.startsWith(".") || (isDir && name.endsWith(DERIV_SUFFIX))
+
+// Caminho relativo que o servidor aceita sem alterar (safeSub/safeParts): sem segmentos vazios, ".", ".." ou ocultos
+const safeRelPath = (p) => p.split("/").every(s => s && !s.startsWith(".") && !s.includes("\\"))
+
+// "pasta/sub/sub" → { folder, subfolder }
+function parseRemote(raw) {
+  const remote = String(raw).replace(/\/$/, "")
+  if (!safeRelPath(remote))
+    throw new UsageError("Caminho remoto inválido: " + raw + " (use pasta ou pasta/subpasta, sem segmentos vazios ou ocultos)")
+  const [folder, ...sub] = remote.split("/")
+  return { folder, subfolder: sub.join("/") || null }
+}
+
+// Arquivos da pasta local: caminho relativo ("a/b.pdf") → { abs, size, modified }. Links simbólicos ficam de fora
+function walkLocal(root, ignored) {
+  const files = new Map()
+  function walk(rel) {
+    for (const e of fs.readdirSync(path.join(root, rel), { withFileTypes: true })) {
+      const relPath = rel ? rel + "/" + e.name : e.name
+      if (!e.isFile() && !e.isDirectory()) continue
+      if (ignoredName(e.name, e.isDirectory())) {
+        if (relPath !== STATE_FILE) ignored.push(relPath)
+        continue
+      }
+      if (e.isDirectory()) { walk(relPath); continue }
+      const abs  = path.join(root, relPath)
+      const stat = fs.statSync(abs)
+      files.set(relPath, { abs, size: stat.size, modified: stat.mtime.toISOString() })
+    }
+  }
+  walk("")
+  return files
+}
+
+function sha256File(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256")
+    fs.createReadStream(file)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")))
+      .on("error", reject)
+  })
+}
+
+// --- API ---
+
+function createApi(server, key) {
+  const base = server.replace(/\/+$/, "")
+
+  async function request(method, url, { body, headers } = {}) {
+    const res  = await fetch(url.startsWith("http") ? url : base + url, { method, body, headers: { "x-api-key": key, ...headers } })
+    if (res.ok) return res
+    const data = await res.json().catch(() => ({}))
+    throw Object.assign(new Error(data.error || res.status + " " + res.statusText), { status: res.status })
+  }
+
+  const remotePath = (...parts) => parts.filter(Boolean).join("/").split("/").map(encodeURIComponent).join("/")
+
+  return {
+    async checksums(folder, subfolder) {
+      const query = new URLSearchParams({ folder, ...(subfolder ? { subfolder } : {}) })
+      return (await request("GET", "/checksums?" + query)).json()
+    },
+
+    // Multipart montado à mão: o nome vai também em filename* (UTF-8), que o busboy do multer
+    // prefere ao filename comum (este ele lê como latin1 e estragaria os acentos)
+    async upload(folder, subfolder, name, file) {
+      const boundary = "----cpcon-files-" + crypto.randomBytes(12).toString("hex")
+      const fallback = name.replace(/[^\x20-\x7e]|["\\]/g, "_")
+      const head     = `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(name)}\r\n` +
+                       "Content-Type: application/octet-stream\r\n\r\n"
+      const body     = new Blob([head, await fs.openAsBlob(file), `\r\n--${boundary}--\r\n`])
+      const query    = new URLSearchParams({ folder, ...(subfolder ? { subfolder } : {}) })
+      return (await request("POST", "/upload-manager?" + query, { body, headers: { "content-type": "multipart/form-data; boundary=" + boundary } })).json()
+    },
+
+    async remove(...parts) {
+      return (await request("DELETE", "/files/" + remotePath(...parts))).json()
+    },
+
+    // Baixa para um temporário ao lado do destino e só então renomeia; retorna o sha256 recebido
+    async download(url, dest) {
+      const res  = await request("GET", url)
+      const tmp  = path.join(path.dirname(dest), "." + path.basename(dest) + ".cpcon-tmp") // oculto: fica fora do próximo sync
+      const hash = crypto.createHash("sha256")
+      fs.mkdirSync(path.dirname(dest), { recursive: true })
+      try {
+        await pipeline(Readable.fromWeb(res.body).on("data", (chunk) => hash.update(chunk)), fs.createWriteStream(tmp))
+        fs.renameSync(tmp, dest)
+      } finally {
+        fs.rmSync(tmp, { force: true })
+      }
+      return hash.digest("hex")
+    },
+  }
+}
+
+// --- Plano ---
+
+// Pastas implícitas de uma lista de caminhos de arquivo ("a/b/c.pdf" → "a", "a/b")
+function dirsOf(paths) {
+  const dirs = new Set()
+  for (const p of paths) {
+    const parts = p.split("/")
+    for (let i = 1; i < parts.length; i++) dirs.add(parts.slice(0, i).join("/"))
+  }
+  return dirs
+}
+
+// Compara origem e destino (Map caminho → { sha256, modified }) contra o histórico `base`
+// (caminho → sha256) e retorna as ações: copy (new | changed; envio ou download, conforme a direção),
+// delete, same e conflict
+function planSync(src, dst, base, { remove, force }) {
+  const actions  = []
+  const srcDirs  = dirsOf(src.keys())
+  const dstDirs  = dirsOf(dst.keys())
+  // Mudou no destino desde a última sincronização? Sem histórico, vale o mais novo
+  const dstChanged = (p, s) => base.has(p) ? dst.get(p).sha256 !== base.get(p) : !s || dst.get(p).modified > s.modified
+
+  for (const [p, s] of src) {
+    const d = dst.get(p)
+    if (dstDirs.has(p) || [...dirsOf([p])].some(dir => dst.has(dir)))
+      actions.push({ type: "conflict", path: p, reason: "arquivo de um lado, pasta do outro" })
+    else if (!d)
+      actions.push({ type: "copy", path: p, kind: "new", sha256: s.sha256 })
+    else if (d.sha256 === s.sha256)
+      actions.push({ type: "same", path: p, sha256: s.sha256 })
+    else if (!force && dstChanged(p, s))
+      actions.push({ type: "conflict", path: p, reason: base.has(p) ? "alterado no destino desde a última sincronização" : "destino mais novo que a origem" })
+    else
+      actions.push({ type: "copy", path: p, kind: "changed", sha256: s.sha256 })
+  }
+
+  for (const p of dst.keys()) {
+    if (src.has(p) || srcDirs.has(p) || !remove) continue
+    if (!force && base.has(p) && dstChanged(p))
+      actions.push({ type: "conflict", path: p, reason: "alterado no destino desde a última sincronização; não apagado" })
+    else
+      actions.push({ type: "delete", path: p })
+  }
+  return actions.sort((a, b) => a.path.localeCompare(b.path))
+}
+
+// --- Histórico ---
+
+// O histórico só vale para o mesmo servidor e subárvore remota
+function readState(root, server, remote) {
+  try {
+    const state = JSON.parse(fs.readFileSync(path.join(root, STATE_FILE), "utf8"))
+    if (state.server === server && state.remote === remote) return new Map(Object.entries(state.files || {}))
+  } catch {}
+  return new Map()
+}
+
+function writeState(root, server, remote, files) {
+  const sorted = Object.fromEntries([...files].sort(([a], [b]) => a.localeCompare(b)))
+  const state  = { server, remote, syncedAt: new Date().toISOString(), files: sorted }
+  fs.writeFileSync(path.join(root, STATE_FILE), JSON.stringify(state, null, 2) + "\n")
+}
+
+// --- sync ---
+
+async function sync({ local, remote, pull, remove, dryRun, force, server, key }) {
+  const root = path.resolve(local)
+  const { folder, subfolder } = parseRemote(remote)
+  if (pull) fs.mkdirSync(root, { recursive: true })
+  if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) throw new UsageError("Pasta local não encontrada: " + local)
+
+  const api     = createApi(server, key)
+  const listing = await api.checksums(folder, subfolder)
+  if ((listing.subfolder || null) !== subfolder) throw new Error("O servidor normalizou a subpasta para " + listing.subfolder + "; confira o caminho remoto")
+  const target  = [folder, subfolder].filter(Boolean).join("/")
+
+  const ignored = []
+  const localFiles  = new Map()
+  for (const [p, f] of walkLocal(root, ignored)) localFiles.set(p, { ...f, sha256: await sha256File(f.abs) })
+  const remoteFiles = new Map(listing.files.filter(f => safeRelPath(f.path)).map(f => [f.path, f]))
+
+  const base    = readState(root, server, target)
+  const src     = pull ? remoteFiles : localFiles
+  const dst     = pull ? localFiles : remoteFiles
+  const actions = planSync(src, dst, base, { remove, force })
+
+  const mark = { copy: (a) => a.kind === "new" ? "+" : "~", delete: () => "-", conflict: () => "!" }
+  const errors = []
+  const synced = new Map([...base].filter(([p]) => src.has(p) || dst.has(p)))
+
+  console.log((dryRun ? "[dry-run] " : "") + (pull ? target + " → " + root : root + " → " + target))
+  for (const p of ignored) console.log("  ignorado: " + p)
+
+  for (const a of actions) {
+    if (a.type === "same") { synced.set(a.path, a.sha256); continue }
+    console.log("  " + mark[a.type](a) + " " + a.path + (a.type === "conflict" ? "  (conflito: " + a.reason + ")" : ""))
+    if (dryRun || a.type === "conflict") continue
+
+    try {
+      if (a.type === "copy" && pull) {
+        synced.set(a.path, await api.download(remoteFiles.get(a.path).url, path.join(root, a.path)))
+      } else if (a.type === "copy") {
+        const dir = path.posix.dirname(a.path)
+        await api.upload(folder, [subfolder, dir === "." ? null : dir].filter(Boolean).join("/") || null, path.posix.basename(a.path), localFiles.get(a.path).abs)
+        synced.set(a.path, a.sha256)
+      } else if (pull) {
+        fs.rmSync(path.join(root, a.path))
+        pruneEmptyDirs(root, path.dirname(path.join(root, a.path)))
+        synced.delete(a.path)
+      } else {
+        await api.remove(target, a.path)
+        synced.delete(a.path)
+      }
+    } catch (err) {
+      console.error("    erro: " + err.message)
+      errors.push({ path: a.path, error: err.message })
+      // Sem permissão ou chave inválida: as próximas falhariam igual
+      if (err.status === 401 || err.status === 403) break
+    }
+  }
+
+  if (!dryRun) writeState(root, server, target, synced)
+
+  const count = (type, kind) => actions.filter(a => a.type === type && (!kind || a.kind === kind)).length
+  console.log([
+    count("copy", "new") + " novos",
+    count("copy", "changed") + " alterados",
+    count("delete") + " apagados",
+    count("same") + " iguais",
+    count("conflict") + " conflitos",
+    errors.length + " erros",
+  ].join(", ") + (dryRun ? " (nada foi alterado)" : ""))
+
+  return count("conflict") || errors.length ? 1 : 0
+}
+
+// Remove pastas locais que ficaram vazias depois de um --delete (até a raiz, exclusive)
+function pruneEmptyDirs(root, dir) {
+  while (dir !== root && dir.startsWith(root + path.sep) && !fs.readdirSync(dir).length) {
+    fs.rmdirSync(dir)
+    dir = path.dirname(dir)
+  }
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args:    argv,
+    options: {
+      "pull":    { type: "boolean", default: false },
+      "delete":  { type: "boolean", default: false },
+      "dry-run": { type: "boolean", default: false },
+      "force":   { type: "boolean", default: false },
+      "server":  { type: "string", default: process.env.CPCON_FILES_URL || "http://localhost" },
+      "key":     { type: "string", default: process.env.CPCON_FILES_KEY },
+      "help":    { type: "boolean", short: "h", default: false },
+    },
+    allowPositionals: true,
+  })
+
+  const [command, local, remote] = positionals
+  if (values.help) {
+    console.log(USAGE)
+    return 0
+  }
+  if (command !== "sync" || !local || !remote || positionals.length > 3) throw new UsageError(USAGE)
+  if (!values.key) throw new UsageError("Informe a chave de API com --key ou CPCON_FILES_KEY")
+
+  return sync({
+    local,
+    remote,
+    pull:   values.pull,
+    remove: values.delete,
+    dryRun: values["dry-run"],
+    force:  values.force,
+    server: values.server,
+    key:    values.key,
+  })
+}
+
+main(process.argv.slice(2)).then(
+  (code) => { process.exitCode = code },
+  (err) => {
+    const usage = err instanceof UsageError || err.code?.startsWith("ERR_PARSE_ARGS")
+    console.error(usage ? err.message : "Erro: " + err.message)
+    process.exitCode = usage ? 2 : 1
+  },
+)
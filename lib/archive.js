@@ -0,0 +1,57 @@
+const path = require("path")
+const yazl = require("yazl")
+const { isDerivDir } = require("./derivatives")
+
+// Formatos já comprimidos: vão para o zip sem deflate (mais rápido e quase o mesmo tamanho)
+const STORE_EXTS = [".jpg", ".jpeg", ".png", ".webp", ".avif", ".gif", ".pdf", ".zip", ".mp4", ".mov", ".m4v", ".mkv", ".webm", ".mp3"]
+
+// Lista os arquivos de `relPath` (arquivo ou pasta no armazenamento), recursivamente.
+// `name` de cada item é o caminho dentro do zip: relativo a `base` (também uma chave).
+// Ignora ocultos e pastas de derivados, como /list.
+async function collect(storage, relPath, base) {
+  const inZip = (key) => (base ? path.posix.relative(base, key) : key) || path.posix.basename(key)
+
+  const stat = await storage.stat(relPath)
+  if (!stat) return []
+  if (!stat.isDir) return [{ key: relPath, name: inZip(relPath), size: stat.size, mtime: stat.mtime }]
+
+  const files = []
+  for (const e of await storage.list(relPath, { recursive: true })) {
+    if (e.isDir) continue
+    const parts = e.key.slice(relPath.length + 1).split("/")
+    if (parts.some(p => p.startsWith("."))) continue
+    if (parts.slice(0, -1).some(isDerivDir)) continue
+    files.push({ key: e.key, name: inZip(e.key), size: e.size, mtime: e.mtime })
+  }
+  return files.sort((a, b) => a.name.localeCompare(b.name))
+}
+
+// Gera o zip em streaming (nada é montado em disco; cada arquivo só é aberto na sua vez) e envia para `res`
+function sendArchive(storage, res, files, filename) {
+  const zip = new yazl.ZipFile()
+
+  res.set({
+    "Content-Type":        "application/zip",
+    "Content-Disposition": `attachment; filename="${filename.replace(/["\\\r\n]/g, "_")}"`,
+    "Cache-Control":       "no-store",
+  })
+
+  zip.on("error", (err) => {
+    // Cabeçalhos já enviados: a única forma de sinalizar erro é cortar a conexão
+    console.error("[archive] erro:", err.message)
+    res.destroy(err)
+  })
+  res.on("close", () => zip.outputStream.unpipe(res))
+
+  zip.outputStream.pipe(res)
+  for (const f of files) {
+    zip.addReadStreamLazy(f.name, {
+      mtime:    f.mtime,
+      size:     f.size,
+      compress: !STORE_EXTS.includes(path.extname(f.name).toLowerCase()),
+    }, (cb) => storage.get(f.key).then((stream) => cb(null, stream), cb))
+  }
+  zip.end()
+}
+
+module.exports = { collect, sendArchive }
@@ -0,0 +1,135 @@
+const fs   = require("fs")
+const path = require("path")
+
+const READ_CHUNK = 64 * 1024 // bytes lidos por vez ao percorrer o log de trás para frente
+
+// Linhas de um arquivo da última para a primeira, lendo blocos a partir do fim. Quebra só no byte
+// "\n" (nunca aparece dentro de um caractere UTF-8 multibyte), então cada linha decodifica inteira
+async function* linesBackward(file) {
+  const fh = await fs.promises.open(file, "r")
+  try {
+    let pos  = (await fh.stat()).size
+    let rest = Buffer.alloc(0) // começo de linha que continua no bloco anterior
+    while (pos > 0) {
+      const len = Math.min(READ_CHUNK, pos)
+      pos -= len
+      const buf = Buffer.alloc(len)
+      await fh.read(buf, 0, len, pos)
+      const chunk = Buffer.concat([buf, rest])
+      let end = chunk.length
+      for (let i = chunk.length - 1; i >= 0; i--) {
+        if (chunk[i] !== 0x0a) continue
+        if (end > i + 1) yield chunk.toString("utf8", i + 1, end)
+        end = i
+      }
+      rest = chunk.subarray(0, end)
+    }
+    if (rest.length) yield rest.toString("utf8")
+  } finally {
+    await fh.close()
+  }
+}
+
+// Colunas do CSV (na ordem) — campos que não estiverem aqui ficam só no JSON
+const CSV_FIELDS = ["ts", "action", "result", "status", "key", "ip", "path", "from", "to", "folder", "size", "error"]
+
+// Log de auditoria: um registro JSON por linha, só acrescentado, em <dir>/audit.log.
+// Quando passaria de maxBytes, o arquivo atual vira audit-<data da rotação>.log e um novo começa;
+// ficam os `keep` arquivos rotacionados mais recentes. Cada registro tem ts (ISO) e o que a rota
+// informou: action, result, status, key, ip, path/from/to, size...
+function createAuditLog({ dir, maxBytes = 50 * 1024 * 1024, keep = 20 }) {
+  fs.mkdirSync(dir, { recursive: true })
+  const current = path.join(dir, "audit.log")
+  let size      = fs.existsSync(current) ? fs.statSync(current).size : 0
+
+  // Rotacionados do mais novo para o mais antigo (o nome ordena pela data)
+  const rotated = () => fs.readdirSync(dir).filter(f => /^audit-.+\.log$/.test(f)).sort().reverse()
+
+  function rotate() {
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-")
+    fs.renameSync(current, path.join(dir, "audit-" + stamp + ".log"))
+    size = 0
+    for (const f of rotated().slice(keep)) fs.rmSync(path.join(dir, f), { force: true })
+    console.log("[audit] log rotacionado:", "audit-" + stamp + ".log")
+  }
+
+  // Acrescenta um registro; nunca lança (a auditoria não derruba a operação auditada)
+  function record(entry) {
+    try {
+      const line  = JSON.stringify({ ts: new Date().toISOString(), ...entry }) + "\n"
+      const bytes = Buffer.byteLength(line)
+      if (size > 0 && size + bytes > maxBytes) rotate()
+      fs.appendFileSync(current, line)
+      size += bytes
+    } catch (err) {
+      console.error("[audit] erro ao registrar", entry.action + ":", err.message)
+    }
+  }
+
+  // Filtros: prefix (em path, from ou to), actions (lista), key, result e intervalo de ts since/until
+  // (ISO, inclusivos; comparados como texto, como em /search)
+  function matches(e, { prefix, actions, key, result, since, until }) {
+    if (actions?.length && !actions.includes(e.action)) return false
+    if (key && e.key !== key) return false
+    if (result && e.result !== result) return false
+    if (since && e.ts < since) return false
+    if (until && e.ts > until) return false
+    if (prefix) {
+      const under = (p) => typeof p === "string" && (p === prefix || p.startsWith(prefix.replace(/\/+$/, "") + "/"))
+      if (!under(e.path) && !under(e.from) && !under(e.to)) return false
+    }
+    return true
+  }
+
+  // Registros de um arquivo que passam nos filtros, do mais novo para o mais antigo, conforme são
+  // lidos: quem consome para quando já tem o bastante, sem carregar o arquivo inteiro
+  async function* readMatches(file, filters) {
+    for await (const line of linesBackward(file)) {
+      let e
+      try { e = JSON.parse(line) } catch { continue }
+      if (filters.since && e.ts < filters.since) return // daqui para trás tudo é mais antigo
+      if (matches(e, filters)) yield e
+    }
+  }
+
+  // Registros que passam nos filtros, do mais novo para o mais antigo
+  async function* entries(filters = {}) {
+    const files = [current, ...rotated().map(f => path.join(dir, f))]
+    for (const file of files) {
+      // Um arquivo rotacionado só tem registros anteriores à rotação
+      const stamp = /^audit-(.+)\.log$/.exec(path.basename(file))?.[1]
+      if (stamp && filters.since) {
+        const rotatedAt = stamp.replace(/^(\d{4}-\d{2}-\d{2}T\d{2})-(\d{2})-(\d{2})-(\d{3}Z)$/, "$1:$2:$3.$4")
+        if (rotatedAt < filters.since) break
+      }
+      if (!fs.existsSync(file)) continue
+      yield* readMatches(file, filters)
+    }
+  }
+
+  async function query(filters = {}, { limit = 100, offset = 0 } = {}) {
+    const rows = []
+    let skipped = 0
+    for await (const e of entries(filters)) {
+      if (skipped < offset) { skipped++; continue }
+      if (rows.length === limit) return { rows, hasMore: true }
+      rows.push(e)
+    }
+    return { rows, hasMore: false }
+  }
+
+  return { record, entries, query }
+}
+
+// Linha CSV de um registro (RFC 4180: aspas quando há vírgula, aspas ou quebra de linha).
+// Valores que começam com = + - @ ganham um ' na frente para a planilha não tratá-los como fórmula
+// (nomes de arquivo vêm do cliente).
+function csvLine(values) {
+  return values.map((v) => {
+    let s = v === undefined || v === null ? "" : String(v)
+    if (/^[=+\-@]/.test(s)) s = "'" + s
+    return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s
+  }).join(",") + "\r\n"
+}
+
+module.exports = { createAuditLog, csvLine, CSV_FIELDS }
@@ -0,0 +1,40 @@
+// Hash de conteúdo (sha256) dos arquivos de /files, usado no ETag forte e nas URLs ?v=<hash>.
+// Vem do índice de metadados quando o registro confere com o armazenamento (tamanho + mtime);
+// senão é calculado e guardado em memória. Qualquer gravação troca a `version` do stat
+// (inode+mtime no disco, ETag no S3), então um hash antigo nunca é reaproveitado para bytes novos.
+const MAX_CACHED = 10_000
+
+function createContentHashes({ storage, lookup }) {
+  const cache   = new Map() // relPath → { size, version, hash }
+  const pending = new Map() // relPath → Promise<hash>
+
+  const matches = (c, stat) => c.size === stat.size && c.version === stat.version
+
+  // `stat` é o de storage.stat(relPath)
+  async function hashOf(relPath, stat) {
+    const cached = cache.get(relPath)
+    if (cached && matches(cached, stat)) return cached.hash
+
+    const row = lookup(relPath)
+    if (row?.checksum && row.size === stat.size && row.modified_at === stat.mtime.toISOString())
+      return row.checksum
+
+    if (!pending.has(relPath)) {
+      pending.set(relPath, storage.sha256(relPath)
+        .then((hash) => {
+          if (cache.size >= MAX_CACHED) cache.delete(cache.keys().next().value)
+          cache.set(relPath, { size: stat.size, version: stat.version, hash })
+          return hash
+        })
+        .finally(() => pending.delete(relPath)))
+    }
+    return pending.get(relPath)
+  }
+
+  return { hashOf }
+}
+
+// ETag forte a partir do hash (o sufixo distingue variantes do mesmo arquivo)
+const strongEtag = (hash, suffix) => `"${hash.slice(0, 32)}${suffix ? "-" + suffix : ""}"`
+
+module.exports = { createContentHashes, strongEtag }
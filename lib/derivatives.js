@@ -0,0 +1,30 @@
+// Arquivos derivados (poster/HLS de vídeo, variantes de imagem, miniaturas de PDF...)
+// ficam numa pasta irmã do original: "aula.mp4" → "aula.mp4.deriv/".
+// Assim são servidos por /files junto com o original, mas não aparecem em /list
+// e acompanham o original quando ele é movido ou apagado.
+// Os caminhos são chaves do armazenamento (lib/storage.js).
+const DERIV_SUFFIX = ".deriv"
+
+const derivDir   = (key) => key + DERIV_SUFFIX
+const isDerivDir = (name) => name.endsWith(DERIV_SUFFIX)
+
+// Original de um derivado ("aula.mp4.deriv/hls/master.m3u8" → "aula.mp4"), ou null se `key` não
+// estiver dentro de uma pasta de derivados
+function derivParent(key) {
+  const parts = key.split("/")
+  const i     = parts.findIndex(isDerivDir)
+  if (i === -1 || i === parts.length - 1) return null
+  return [...parts.slice(0, i), parts[i].slice(0, -DERIV_SUFFIX.length)].join("/")
+}
+
+function removeDerivatives(storage, key) {
+  return storage.delete(derivDir(key))
+}
+
+async function moveDerivatives(storage, src, dst) {
+  if (!(await storage.exists(derivDir(src)))) return
+  await storage.delete(derivDir(dst))
+  await storage.move(derivDir(src), derivDir(dst))
+}
+
+module.exports = { DERIV_SUFFIX, derivDir, isDerivDir, derivParent, removeDerivatives, moveDerivatives }
@@ -0,0 +1,162 @@
+const fs       = require("fs")
+const path     = require("path")
+const crypto   = require("crypto")
+const Database = require("better-sqlite3")
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS jobs (
+    id          TEXT PRIMARY KEY,
+    type        TEXT NOT NULL,
+    state       TEXT NOT NULL,      -- queued | running | done | failed
+    progress    REAL NOT NULL DEFAULT 0,
+    params      TEXT NOT NULL,      -- JSON
+    result      TEXT,               -- JSON
+    error       TEXT,
+    key         TEXT,               -- chave que criou o job
+    created_at  TEXT NOT NULL,
+    started_at  TEXT,
+    finished_at TEXT
+  );
+  CREATE INDEX IF NOT EXISTS jobs_state ON jobs (state, created_at);
+`
+
+function toJob(row) {
+  if (!row) return null
+  return {
+    id:         row.id,
+    type:       row.type,
+    state:      row.state,
+    progress:   row.progress,
+    params:     JSON.parse(row.params),
+    result:     row.result ? JSON.parse(row.result) : null,
+    error:      row.error,
+    key:        row.key,
+    createdAt:  row.created_at,
+    startedAt:  row.started_at,
+    finishedAt: row.finished_at,
+  }
+}
+
+// Fila de jobs persistida em SQLite com concorrência limitada.
+// Handlers são registrados por tipo: handler(params, { jobId, progress(fração) }) → resultado (JSON).
+// No boot, jobs que estavam rodando são marcados como falhos e os que estavam na fila voltam a rodar.
+// register(type, handler, { recover }): recover(params) roda no start() para cada job do tipo que foi
+// interrompido, para desfazer o que a falha normal do handler desfaria.
+function createJobQueue({ file, concurrency = 2, retentionDays = 7 }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  const db = new Database(file)
+  db.pragma("journal_mode = WAL")
+  db.exec(SCHEMA)
+
+  const handlers = {}
+  const recovers = {}
+  let running = 0
+
+  const insertStmt   = db.prepare("INSERT INTO jobs (id, type, state, params, key, created_at) VALUES (?, ?, 'queued', ?, ?, ?)")
+  const getStmt      = db.prepare("SELECT * FROM jobs WHERE id = ?")
+  const nextStmt     = db.prepare("SELECT * FROM jobs WHERE state = 'queued' ORDER BY created_at LIMIT 1")
+  const startStmt    = db.prepare("UPDATE jobs SET state = 'running', started_at = ? WHERE id = ? AND state = 'queued'")
+  const progressStmt = db.prepare("UPDATE jobs SET progress = ? WHERE id = ?")
+  const doneStmt     = db.prepare("UPDATE jobs SET state = 'done', progress = 1, result = ?, finished_at = ? WHERE id = ?")
+  const failStmt     = db.prepare("UPDATE jobs SET state = 'failed', error = ?, finished_at = ? WHERE id = ?")
+  const purgeStmt    = db.prepare("DELETE FROM jobs WHERE state IN ('done', 'failed') AND finished_at < ?")
+
+  const interrupted = db.prepare("SELECT * FROM jobs WHERE state = 'running'").all()
+  db.prepare("UPDATE jobs SET state = 'failed', error = ?, finished_at = ? WHERE state = 'running'")
+    .run("Interrompido por reinício do servidor", new Date().toISOString())
+  if (interrupted.length) console.warn("[jobs]", interrupted.length, "jobs interrompidos marcados como falhos")
+
+  function register(type, handler, { recover } = {}) {
+    handlers[type] = handler
+    if (recover) recovers[type] = recover
+  }
+
+  // Limpeza dos jobs interrompidos (uma por vez, na ordem em que foram criados)
+  async function recoverInterrupted() {
+    for (const row of interrupted.sort((a, b) => a.created_at.localeCompare(b.created_at))) {
+      const recover = recovers[row.type]
+      if (!recover) continue
+      try {
+        await recover(JSON.parse(row.params))
+        console.log("[jobs] desfeito:", row.type, row.id)
+      } catch (err) {
+        console.error("[jobs] erro ao desfazer:", row.type, row.id, err.message)
+      }
+    }
+  }
+
+  function run(row) {
+    running++
+    startStmt.run(new Date().toISOString(), row.id)
+    const params  = JSON.parse(row.params)
+    let lastWrite = 0
+
+    const ctx = {
+      jobId: row.id,
+      // Limita a escrita de progresso no banco a ~1 por segundo
+      progress(fraction) {
+        const now = Date.now()
+        if (now - lastWrite < 1000 && fraction < 1) return
+        lastWrite = now
+        progressStmt.run(Math.max(0, Math.min(1, fraction)), row.id)
+      },
+    }
+
+    Promise.resolve()
+      .then(() => {
+        const handler = handlers[row.type]
+        if (!handler) throw new Error("Tipo de job desconhecido: " + row.type)
+        return handler(params, ctx)
+      })
+      .then((result) => {
+        doneStmt.run(JSON.stringify(result ?? null), new Date().toISOString(), row.id)
+        console.log("[jobs] OK:", row.type, row.id)
+      })
+      .catch((err) => {
+        failStmt.run(err.message, new Date().toISOString(), row.id)
+        console.error("[jobs] falhou:", row.type, row.id, err.message)
+      })
+      .finally(() => {
+        running--
+        setImmediate(pump)
+      })
+  }
+
+  function pump() {
+    while (running < concurrency) {
+      const row = nextStmt.get()
+      if (!row) return
+      run(row)
+    }
+  }
+
+  function enqueue(type, params, key) {
+    const id = crypto.randomBytes(12).toString("hex")
+    insertStmt.run(id, type, JSON.stringify(params), key || null, new Date().toISOString())
+    setImmediate(pump)
+    return toJob(getStmt.get(id))
+  }
+
+  function get(id) {
+    return toJob(getStmt.get(String(id)))
+  }
+
+  function purge() {
+    const cutoff = new Date(Date.now() - retentionDays * 86400 * 1000).toISOString()
+    const removed = purgeStmt.run(cutoff).changes
+    if (removed) console.log("[jobs] limpeza:", removed, "jobs antigos removidos")
+    return removed
+  }
+
+  // Desfaz os jobs interrompidos e começa a processar o que ficou na fila (chamar depois de
+  // registrar os handlers). A fila só anda depois da limpeza, que pode mexer nos mesmos arquivos
+  function start() {
+    purge()
+    setInterval(purge, 3600 * 1000).unref()
+    recoverInterrupted().then(() => setImmediate(pump))
+  }
+
+  return { register, enqueue, get, start }
+}
+
+module.exports = { createJobQueue }
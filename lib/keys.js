@@ -0,0 +1,216 @@
+const fs     = require("fs")
+const path   = require("path")
+const crypto = require("crypto")
+
+// Operações que uma chave pode receber
+// read       — /list e consultas
+// upload     — /upload (com compressão)
+// upload-raw — /upload-raw (sem compressão e sem limite)
+// manage     — /upload-manager, /move, /mkdir, /extract-zip
+// delete     — DELETE /files/*
+const OPERATIONS = ["read", "upload", "upload-raw", "manage", "delete"]
+
+const NAME_RE = /^[a-zA-Z0-9._-]{1,64}$/
+
+// Nome da chave única do env (API_KEY). Reservado: uma chave do arquivo com o mesmo nome
+// ficaria indistinguível dela em uploads, auditoria e logs
+const LEGACY_NAME = "admin"
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex")
+}
+
+function generateKey() {
+  return crypto.randomBytes(32).toString("base64url")
+}
+
+// Valida e normaliza uma entrada de chave (vinda do arquivo ou do endpoint admin)
+function normalizeEntry(entry, allowedFolders) {
+  if (!entry || typeof entry !== "object") throw new Error("Entrada de chave inválida")
+  if (!NAME_RE.test(entry.name || "")) throw new Error("Nome de chave inválido: " + entry.name)
+  if (entry.name === LEGACY_NAME) throw new Error(`Nome de chave reservado para API_KEY: ${LEGACY_NAME}`)
+
+  const folders = Array.isArray(entry.folders) ? entry.folders : ["*"]
+  for (const f of folders) {
+    if (f !== "*" && !allowedFolders.includes(f))
+      throw new Error(`Pasta inválida na chave ${entry.name}: ${f}`)
+  }
+
+  const ops = Array.isArray(entry.ops) ? entry.ops : []
+  for (const op of ops) {
+    if (op !== "*" && !OPERATIONS.includes(op))
+      throw new Error(`Operação inválida na chave ${entry.name}: ${op}. Use: ${OPERATIONS.join(", ")}`)
+  }
+
+  // Aceita "key" em texto puro no arquivo (config manual), mas só guarda o hash
+  const hash = entry.hash || (entry.key ? hashKey(entry.key) : null)
+  if (!hash) throw new Error(`Chave ${entry.name} sem "key" nem "hash"`)
+
+  return {
+    name:              entry.name,
+    hash,
+    folders,
+    ops,
+    admin:             !!entry.admin,
+    disabled:          !!entry.disabled,
+    previousHash:      entry.previousHash || null,
+    previousExpiresAt: entry.previousExpiresAt || null,
+    createdAt:         entry.createdAt || new Date().toISOString(),
+    rotatedAt:         entry.rotatedAt || null,
+  }
+}
+
+// Dados públicos de uma chave (nunca expõe o hash)
+function describe(entry) {
+  return {
+    name:      entry.name,
+    folders:   entry.folders,
+    ops:       entry.ops,
+    admin:     entry.admin,
+    disabled:  entry.disabled,
+    createdAt: entry.createdAt,
+    rotatedAt: entry.rotatedAt,
+  }
+}
+
+// Repositório de chaves persistido em JSON.
+// O arquivo é relido sempre que o mtime muda, então edições manuais valem sem restart.
+function createKeyStore({ file, allowedFolders, legacyKey }) {
+  let entries = []
+  let loadedMtime = null
+
+  // Chave única do env (API_KEY) continua funcionando como admin total
+  const legacy = legacyKey
+    ? { name: LEGACY_NAME, hash: hashKey(legacyKey), folders: ["*"], ops: ["*"], admin: true, disabled: false }
+    : null
+
+  function load() {
+    let stat
+    try {
+      stat = fs.statSync(file)
+    } catch {
+      entries = []
+      loadedMtime = null
+      return
+    }
+    if (loadedMtime === stat.mtimeMs) return
+
+    try {
+      const data = JSON.parse(fs.readFileSync(file, "utf8"))
+      const list = Array.isArray(data) ? data : (data.keys || [])
+      const next = list.map(e => normalizeEntry(e, allowedFolders))
+      const names = new Set()
+      for (const e of next) {
+        if (names.has(e.name)) throw new Error("Nome de chave duplicado: " + e.name)
+        names.add(e.name)
+      }
+      entries = next
+      loadedMtime = stat.mtimeMs
+      console.log("[keys] carregadas", entries.length, "chaves de", file)
+    } catch (err) {
+      // Mantém as chaves anteriores se o arquivo novo estiver inválido
+      console.error("[keys] erro ao carregar", file + ":", err.message)
+      loadedMtime = stat.mtimeMs
+    }
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+    const tmp = file + ".tmp"
+    fs.writeFileSync(tmp, JSON.stringify({ keys: entries }, null, 2), { mode: 0o600 })
+    fs.renameSync(tmp, file)
+    loadedMtime = fs.statSync(file).mtimeMs
+  }
+
+  function get(name) {
+    load()
+    return entries.find(e => e.name === name) || null
+  }
+
+  // Retorna a chave correspondente ao segredo informado (ou null)
+  function find(secret) {
+    if (!secret) return null
+    const hash = hashKey(secret)
+    if (legacy && hash === legacy.hash) return legacy
+
+    load()
+    const now = Date.now()
+    for (const e of entries) {
+      if (e.disabled) continue
+      if (e.hash === hash) return e
+      if (e.previousHash === hash && e.previousExpiresAt && Date.parse(e.previousExpiresAt) > now) return e
+    }
+    return null
+  }
+
+  // Verifica se a chave pode executar `op` em todas as `folders` informadas
+  function allows(entry, op, folders = []) {
+    if (op === "admin") return entry.admin
+    if (!entry.ops.includes("*") && !entry.ops.includes(op)) return false
+    if (entry.folders.includes("*")) return true
+    return folders.every(f => entry.folders.includes(f))
+  }
+
+  function list() {
+    load()
+    return entries.map(describe)
+  }
+
+  function create(data) {
+    load()
+    if (get(data.name) || data.name === LEGACY_NAME)
+      throw Object.assign(new Error("Já existe uma chave com esse nome"), { status: 409 })
+    const secret = generateKey()
+    const entry  = normalizeEntry({ ...data, key: secret, hash: null }, allowedFolders)
+    entries.push(entry)
+    save()
+    return { ...describe(entry), key: secret }
+  }
+
+  function update(name, data) {
+    const current = get(name)
+    if (!current) return null
+    const entry = normalizeEntry({
+      ...current,
+      folders:  data.folders  !== undefined ? data.folders  : current.folders,
+      ops:      data.ops      !== undefined ? data.ops      : current.ops,
+      admin:    data.admin    !== undefined ? data.admin    : current.admin,
+      disabled: data.disabled !== undefined ? data.disabled : current.disabled,
+    }, allowedFolders)
+    entries = entries.map(e => e.name === name ? entry : e)
+    save()
+    return describe(entry)
+  }
+
+  // Gera um novo segredo. Com graceSeconds > 0 o segredo anterior continua válido
+  // por esse tempo, para dar tempo de atualizar a integração.
+  function rotate(name, graceSeconds = 0) {
+    const current = get(name)
+    if (!current) return null
+    const secret = generateKey()
+    const grace  = Math.max(0, Number(graceSeconds) || 0)
+    const entry  = {
+      ...current,
+      hash:              hashKey(secret),
+      previousHash:      grace ? current.hash : null,
+      previousExpiresAt: grace ? new Date(Date.now() + grace * 1000).toISOString() : null,
+      rotatedAt:         new Date().toISOString(),
+    }
+    entries = entries.map(e => e.name === name ? entry : e)
+    save()
+    return { ...describe(entry), key: secret }
+  }
+
+  function remove(name) {
+    if (!get(name)) return false
+    entries = entries.filter(e => e.name !== name)
+    save()
+    return true
+  }
+
+  load()
+
+  return { find, allows, get, list, create, update, rotate, remove }
+}
+
+module.exports = { OPERATIONS, createKeyStore, hashKey }
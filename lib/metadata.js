@@ -0,0 +1,273 @@
+const fs       = require("fs")
+const path     = require("path")
+const Database = require("better-sqlite3")
+const { isDerivDir } = require("./derivatives")
+
+// Nomes gerados pelo /upload com ids: <id_curso>-<id_disciplina>-<id_professor>-<slug>.<ext>
+// No reindex só considera ids numéricos, para não confundir slugs com hífen.
+const COURSE_NAME_RE = /^(\d+)-(\d+)-(\d+)-(.+)$/
+
+const SEARCH_FIELDS = ["folder", "uploader", "id_curso", "id_disciplina", "id_professor", "mimetype", "checksum", "source"]
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS files (
+    path          TEXT PRIMARY KEY,   -- relativo a UPLOAD_DIR (folder/sub/arquivo)
+    folder        TEXT NOT NULL,
+    dir           TEXT NOT NULL,      -- subpasta dentro de folder ('' na raiz)
+    name          TEXT NOT NULL,
+    is_dir        INTEGER NOT NULL DEFAULT 0,
+    original_name TEXT,
+    uploader      TEXT,
+    id_curso      TEXT,
+    id_disciplina TEXT,
+    id_professor  TEXT,
+    mimetype      TEXT,
+    size          INTEGER,
+    checksum      TEXT,               -- sha256 hex
+    source        TEXT,               -- upload | upload-raw | upload-manager | tus | extract-zip | mkdir | reindex
+    created_at    TEXT NOT NULL,
+    updated_at    TEXT NOT NULL,
+    modified_at   TEXT                -- mtime do arquivo
+  );
+  CREATE INDEX IF NOT EXISTS files_folder_dir ON files (folder, dir);
+  CREATE INDEX IF NOT EXISTS files_curso      ON files (id_curso, id_disciplina, id_professor);
+  CREATE INDEX IF NOT EXISTS files_professor  ON files (id_professor);
+  CREATE INDEX IF NOT EXISTS files_uploader   ON files (uploader);
+  CREATE INDEX IF NOT EXISTS files_checksum   ON files (checksum);
+  CREATE INDEX IF NOT EXISTS files_created    ON files (created_at);
+`
+
+function splitPath(relPath) {
+  const parts = relPath.split("/")
+  return { folder: parts[0], dir: parts.slice(1, -1).join("/"), name: parts[parts.length - 1] }
+}
+
+// Tipo MIME aproximado pela extensão (usado quando não há o do upload, ex.: reindex/zip)
+const MIME_BY_EXT = {
+  ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".png": "image/png", ".webp": "image/webp", ".avif": "image/avif",
+  ".gif": "image/gif", ".svg": "image/svg+xml", ".pdf": "application/pdf", ".zip": "application/zip",
+  ".mp4": "video/mp4", ".mov": "video/quicktime", ".m4v": "video/x-m4v", ".mkv": "video/x-matroska",
+  ".webm": "video/webm", ".mp3": "audio/mpeg", ".txt": "text/plain", ".csv": "text/csv",
+  ".doc": "application/msword", ".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".ppt": "application/vnd.ms-powerpoint", ".pptx": "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  ".xls": "application/vnd.ms-excel", ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+}
+const guessMime = (name) => MIME_BY_EXT[path.extname(name).toLowerCase()] || "application/octet-stream"
+
+// Índice persistente (SQLite) dos arquivos do armazenamento (lib/storage.js).
+// As rotas de escrita mantêm o índice atualizado; reindex() reconstrói a partir do armazenamento.
+function createMetadataIndex({ file, storage, folders }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  const db = new Database(file)
+  db.pragma("journal_mode = WAL")
+  db.exec(SCHEMA)
+
+  const getStmt    = db.prepare("SELECT * FROM files WHERE path = ?")
+  const upsertStmt = db.prepare(`
+    INSERT INTO files (path, folder, dir, name, is_dir, original_name, uploader, id_curso, id_disciplina, id_professor,
+                       mimetype, size, checksum, source, created_at, updated_at, modified_at)
+    VALUES (@path, @folder, @dir, @name, @is_dir, @original_name, @uploader, @id_curso, @id_disciplina, @id_professor,
+            @mimetype, @size, @checksum, @source, @created_at, @updated_at, @modified_at)
+    ON CONFLICT (path) DO UPDATE SET
+      is_dir = excluded.is_dir, original_name = excluded.original_name, uploader = excluded.uploader,
+      id_curso = excluded.id_curso, id_disciplina = excluded.id_disciplina, id_professor = excluded.id_professor,
+      mimetype = excluded.mimetype, size = excluded.size, checksum = excluded.checksum, source = excluded.source,
+      updated_at = excluded.updated_at, modified_at = excluded.modified_at
+  `)
+  const subtreeStmt = db.prepare("SELECT * FROM files WHERE path = ? OR substr(path, 1, ?) = ?")
+  const deleteStmt  = db.prepare("DELETE FROM files WHERE path = ? OR substr(path, 1, ?) = ?")
+  const deleteOne   = db.prepare("DELETE FROM files WHERE path = ?")
+  const allPaths    = db.prepare("SELECT path, size, modified_at, is_dir FROM files")
+  const usageStmt   = db.prepare(`
+    SELECT folder, dir, COUNT(*) AS files, COALESCE(SUM(size), 0) AS bytes
+    FROM files WHERE is_dir = 0 GROUP BY folder, dir
+  `)
+  const folderUsageStmt    = db.prepare("SELECT COUNT(*) AS files, COALESCE(SUM(size), 0) AS bytes FROM files WHERE is_dir = 0 AND folder = ?")
+  const professorUsageStmt = db.prepare("SELECT COUNT(*) AS files, COALESCE(SUM(size), 0) AS bytes FROM files WHERE is_dir = 0 AND id_professor = ?")
+
+  const subtree = (relPath) => subtreeStmt.all(relPath, relPath.length + 1, relPath + "/")
+
+  function row(relPath, data, existing) {
+    const now = new Date().toISOString()
+    const { folder, dir, name } = splitPath(relPath)
+    // Mantém o que já se sabia do arquivo (ex.: ids do curso) quando o novo registro não traz
+    const pick = (k) => data[k] !== undefined && data[k] !== null && data[k] !== "" ? String(data[k]) : (existing?.[k] ?? null)
+    return {
+      path:          relPath,
+      folder,
+      dir,
+      name,
+      is_dir:        data.is_dir ? 1 : 0,
+      original_name: pick("original_name"),
+      uploader:      pick("uploader"),
+      id_curso:      pick("id_curso"),
+      id_disciplina: pick("id_disciplina"),
+      id_professor:  pick("id_professor"),
+      mimetype:      data.is_dir ? null : pick("mimetype") || guessMime(name),
+      size:          data.size ?? null,
+      checksum:      data.checksum ?? null,
+      source:        data.source || existing?.source || null,
+      created_at:    existing?.created_at || now,
+      updated_at:    now,
+      modified_at:   data.modified_at ?? null,
+    }
+  }
+
+  // Registra (ou atualiza) um arquivo já gravado. Calcula tamanho e checksum.
+  async function recordFile(relPath, data = {}) {
+    const stat = await storage.stat(relPath)
+    if (!stat || stat.isDir) throw new Error("Arquivo não encontrado: " + relPath)
+    const checksum = await storage.sha256(relPath)
+    const entry = row(relPath, {
+      ...data,
+      size:        stat.size,
+      checksum,
+      modified_at: stat.mtime.toISOString(),
+    }, getStmt.get(relPath))
+    upsertStmt.run(entry)
+    return entry
+  }
+
+  async function recordDir(relPath, data = {}) {
+    const stat  = await storage.stat(relPath)
+    const entry = row(relPath, { ...data, is_dir: true, modified_at: stat?.mtime ? stat.mtime.toISOString() : null }, getStmt.get(relPath))
+    upsertStmt.run(entry)
+    return entry
+  }
+
+  // Remove o caminho e tudo que estiver abaixo dele
+  function removePath(relPath) {
+    return deleteStmt.run(relPath, relPath.length + 1, relPath + "/").changes
+  }
+
+  // Atualiza o caminho (e os descendentes, se for pasta) após um move
+  const movePath = db.transaction((src, dst) => {
+    const rows = subtree(src)
+    removePath(dst)
+    for (const r of rows) {
+      deleteOne.run(r.path)
+      const next = dst + r.path.slice(src.length)
+      upsertStmt.run({ ...r, ...splitPath(next), path: next, updated_at: new Date().toISOString() })
+    }
+    return rows.length
+  })
+
+  // Linhas do caminho e descendentes (usado para guardar os metadados na lixeira)
+  function snapshot(relPath) {
+    return subtree(relPath)
+  }
+
+  // Regrava linhas de snapshot() com o prefixo `src` trocado por `dst`
+  const restoreRows = db.transaction((rows, src, dst) => {
+    removePath(dst)
+    for (const r of rows) {
+      const next = dst + r.path.slice(src.length)
+      upsertStmt.run({ ...r, ...splitPath(next), path: next, updated_at: new Date().toISOString() })
+    }
+    return rows.length
+  })
+
+  function get(relPath) {
+    return getStmt.get(relPath) || null
+  }
+
+  // Busca com filtros exatos (SEARCH_FIELDS), prefixo de subpasta, nome (q) e intervalo de datas
+  function search(filters = {}, { limit = 50, offset = 0 } = {}) {
+    const where  = []
+    const params = {}
+
+    for (const f of SEARCH_FIELDS) {
+      if (filters[f] === undefined || filters[f] === "") continue
+      where.push(`${f} = @${f}`)
+      params[f] = String(filters[f])
+    }
+    if (filters.folders) {
+      where.push(`folder IN (${filters.folders.map((_, i) => "@fo" + i).join(", ")})`)
+      filters.folders.forEach((f, i) => { params["fo" + i] = f })
+    }
+    if (filters.subfolder) {
+      where.push("(dir = @sub OR substr(dir, 1, @subLen) = @subPrefix)")
+      params.sub       = filters.subfolder
+      params.subLen    = filters.subfolder.length + 1
+      params.subPrefix = filters.subfolder + "/"
+    }
+    if (filters.q) {
+      where.push("(name LIKE @q ESCAPE '\\' OR original_name LIKE @q ESCAPE '\\')")
+      params.q = "%" + String(filters.q).replace(/[\\%_]/g, (c) => "\\" + c) + "%"
+    }
+    if (filters.from) { where.push("created_at >= @from"); params.from = filters.from }
+    if (filters.to)   { where.push("created_at <= @to");   params.to   = filters.to }
+    if (!filters.includeDirs) where.push("is_dir = 0")
+
+    const clause = where.length ? "WHERE " + where.join(" AND ") : ""
+    const total  = db.prepare(`SELECT COUNT(*) AS n FROM files ${clause}`).get(params).n
+    const rows   = db.prepare(`SELECT * FROM files ${clause} ORDER BY created_at DESC, path LIMIT @limit OFFSET @offset`)
+      .all({ ...params, limit, offset })
+    return { total, rows }
+  }
+
+  // Arquivos e bytes por (folder, dir), só do nível direto de cada subpasta (quem chama acumula)
+  function usage() {
+    return usageStmt.all()
+  }
+
+  // Uso total ({ files, bytes }) de uma pasta ou de um professor, para cotas
+  function folderUsage(folder) {
+    return folderUsageStmt.get(folder)
+  }
+
+  function professorUsage(idProfessor) {
+    return professorUsageStmt.get(String(idProfessor))
+  }
+
+  // Reconstrói o índice a partir do armazenamento: inclui o que falta, recalcula o que mudou
+  // (tamanho/mtime) e remove registros de caminhos que não existem mais.
+  async function reindex() {
+    const seen = new Set()
+    let added = 0
+    let updated = 0
+
+    for (const folder of folders) {
+      const entries = await storage.list(folder, { recursive: true })
+      for (const e of entries) {
+        const parts = e.key.split("/").slice(1)
+        // Ocultos (.trash, .versions...), temporários e derivados não entram no índice
+        if (parts.some(p => p.startsWith(".")) || e.name.endsWith(".tmp")) continue
+        if (parts.slice(0, -1).some(isDerivDir) || (e.isDir && isDerivDir(e.name))) continue
+        seen.add(e.key)
+
+        if (e.isDir) {
+          if (!get(e.key)) await recordDir(e.key, { source: "reindex" })
+          continue
+        }
+
+        const current = get(e.key)
+        if (current && current.size === e.size && current.modified_at === e.mtime.toISOString()) continue
+
+        const m = e.name.match(COURSE_NAME_RE)
+        await recordFile(e.key, {
+          source:        current ? undefined : "reindex",
+          id_curso:      m ? m[1] : undefined,
+          id_disciplina: m ? m[2] : undefined,
+          id_professor:  m ? m[3] : undefined,
+        })
+        current ? updated++ : added++
+      }
+    }
+
+    let removed = 0
+    for (const r of allPaths.all()) {
+      if (!seen.has(r.path)) removed += deleteOne.run(r.path).changes
+    }
+
+    return { added, updated, removed, total: seen.size }
+  }
+
+  return {
+    recordFile, recordDir, removePath, movePath, snapshot, restoreRows, get, search, reindex,
+    usage, folderUsage, professorUsage,
+    close: () => db.close(),
+  }
+}
+
+module.exports = { createMetadataIndex, guessMime }
@@ -0,0 +1,95 @@
+// Métricas no formato texto do Prometheus (sem dependências).
+// counter(name, help) → { inc(labels, n) }; histogram(name, help, buckets) → { observe(labels, v), time(labels, fn) }
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300]
+
+const escape = (v) => String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"')
+
+function labelString(labels) {
+  const entries = Object.entries(labels || {})
+  if (!entries.length) return ""
+  return "{" + entries.map(([k, v]) => `${k}="${escape(v)}"`).join(",") + "}"
+}
+
+function createMetrics({ prefix = "" } = {}) {
+  const families = []
+
+  function counter(name, help) {
+    const series = new Map() // labelString → valor
+    families.push({
+      name: prefix + name,
+      help,
+      type: "counter",
+      lines: () => [...series].map(([l, v]) => `${prefix + name}${l} ${v}`),
+    })
+    return {
+      inc(labels, n = 1) {
+        const key = labelString(labels)
+        series.set(key, (series.get(key) || 0) + n)
+      },
+    }
+  }
+
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const series = new Map() // labelString → { labels, counts[], sum, count }
+    const full   = prefix + name
+    families.push({
+      name: full,
+      help,
+      type: "histogram",
+      lines: () => {
+        const out = []
+        for (const { labels, counts, sum, count } of series.values()) {
+          buckets.forEach((b, i) => out.push(`${full}_bucket${labelString({ ...labels, le: b })} ${counts[i]}`))
+          out.push(`${full}_bucket${labelString({ ...labels, le: "+Inf" })} ${count}`)
+          out.push(`${full}_sum${labelString(labels)} ${sum}`)
+          out.push(`${full}_count${labelString(labels)} ${count}`)
+        }
+        return out
+      },
+    })
+
+    function observe(labels, value) {
+      const key = labelString(labels)
+      let s = series.get(key)
+      if (!s) series.set(key, s = { labels: labels || {}, counts: buckets.map(() => 0), sum: 0, count: 0 })
+      buckets.forEach((b, i) => { if (value <= b) s.counts[i]++ })
+      s.sum += value
+      s.count++
+    }
+
+    // Mede a duração (segundos) de fn(), inclusive quando falha
+    async function time(labels, fn) {
+      const start = process.hrtime.bigint()
+      try {
+        return await fn()
+      } finally {
+        observe(labels, Number(process.hrtime.bigint() - start) / 1e9)
+      }
+    }
+
+    return { observe, time }
+  }
+
+  // Valor calculado na hora da coleta (ex.: tamanho de uma fila)
+  function gauge(name, help, collect) {
+    families.push({
+      name: prefix + name,
+      help,
+      type: "gauge",
+      lines: () => collect().map(({ labels, value }) => `${prefix + name}${labelString(labels)} ${value}`),
+    })
+  }
+
+  function render() {
+    const out = []
+    for (const f of families) {
+      out.push(`# HELP ${f.name} ${f.help}`, `# TYPE ${f.name} ${f.type}`, ...f.lines())
+    }
+    return out.join("\n") + "\n"
+  }
+
+  return { counter, histogram, gauge, render }
+}
+
+module.exports = { createMetrics }
@@ -0,0 +1,161 @@
+const fs    = require("fs")
+const path  = require("path")
+const sharp = require("sharp")
+const { execFile } = require("child_process")
+const { promisify } = require("util")
+const { derivDir } = require("./derivatives")
+
+const execFileAsync = promisify(execFile)
+
+const PREVIEW_FORMATS = ["webp", "png"]
+
+// Derivados de PDF com ghostscript: miniaturas das primeiras páginas, número de páginas e texto.
+// O gs trabalha numa pasta temporária local; o resultado vai para <pdf>.deriv/ no armazenamento:
+//   pdf.json            — estado e metadados (status: pending | ready | failed; pages, thumbnails, source)
+//   page-1.webp ...     — miniaturas (largura `width`, formato `format`)
+//   text.txt            — camada de texto, páginas separadas por form feed (\f)
+// O número de páginas sai da própria extração de texto (txtwrite grava um arquivo por página).
+// `source` guarda tamanho e mtime do PDF: se o arquivo mudar, o derivado deixa de valer.
+// Roda em fila com concorrência limitada, fora da requisição HTTP: enqueue() grava "pending" e
+// retorna na hora; o cliente acompanha por GET /pdf-info.
+function createPdfPreviews({ storage, gs = "gs", timeoutMs, pages = 1, width = 480, format = "webp", dpi = 150, concurrency = 1 }) {
+  if (!PREVIEW_FORMATS.includes(format)) throw new Error("Formato de miniatura inválido. Use: " + PREVIEW_FORMATS.join(", "))
+
+  const running = new Map() // chave → Promise<status>
+  const waiting = []
+  let active    = 0
+
+  const statusKey = (key) => derivDir(key) + "/pdf.json"
+  const sourceOf  = (stat) => ({ size: stat.size, mtime: stat.mtime.toISOString() })
+
+  // Estado atual, ou null se ainda não gerado ou gerado para outro conteúdo
+  async function info(key) {
+    const [status, stat] = await Promise.all([storage.readJson(statusKey(key)), storage.stat(key)])
+    if (!status || !stat) return null
+    const source = sourceOf(stat)
+    return status.source?.size === source.size && status.source?.mtime === source.mtime ? status : null
+  }
+
+  async function extractText(filepath, workDir) {
+    const dir = path.join(workDir, "text")
+    fs.mkdirSync(dir)
+    await execFileAsync(gs, [
+      "-q", "-dSAFER", "-dBATCH", "-dNOPAUSE",
+      "-sDEVICE=txtwrite",
+      "-sOutputFile=" + path.join(dir, "%d.txt"),
+      filepath,
+    ], { timeout: timeoutMs, maxBuffer: 10 * 1024 * 1024 })
+
+    const files = fs.readdirSync(dir).map(f => parseInt(f, 10)).filter(Number.isInteger).sort((a, b) => a - b)
+    if (!files.length) throw new Error("PDF sem páginas")
+    const text = files.map(n => fs.readFileSync(path.join(dir, n + ".txt"), "utf8").trim()).join("\n\f\n")
+    return { pages: files.length, text }
+  }
+
+  async function thumbnails(filepath, workDir, count) {
+    await execFileAsync(gs, [
+      "-q", "-dSAFER", "-dBATCH", "-dNOPAUSE",
+      "-sDEVICE=png16m",
+      "-r" + dpi,
+      "-dTextAlphaBits=4",
+      "-dGraphicsAlphaBits=4",
+      "-dFirstPage=1",
+      "-dLastPage=" + count,
+      "-sOutputFile=" + path.join(workDir, "render-%d.png"),
+      filepath,
+    ], { timeout: timeoutMs })
+
+    const out = []
+    for (let n = 1; n <= count; n++) {
+      const name = "page-" + n + "." + format
+      await sharp(path.join(workDir, "render-" + n + ".png"))
+        .resize({ width, withoutEnlargement: true })
+        .toFormat(format, format === "webp" ? { quality: 80 } : {})
+        .toFile(path.join(workDir, name))
+      out.push(name)
+    }
+    return out
+  }
+
+  async function processPdf(key) {
+    const started = Date.now()
+    const stat    = await storage.stat(key)
+    if (!stat || stat.isDir) throw new Error("PDF não encontrado: " + key)
+
+    const workDir = storage.scratchPath("")
+    fs.mkdirSync(workDir, { recursive: true })
+    try {
+      const { pages: total, thumbs } = await storage.withLocalFile(key, async (filepath) => {
+        const { pages: total, text } = await extractText(filepath, workDir)
+        fs.writeFileSync(path.join(workDir, "text.txt"), text)
+        return { pages: total, thumbs: await thumbnails(filepath, workDir, Math.min(pages, total)) }
+      })
+
+      // Miniaturas de uma versão anterior (ex.: com mais páginas) não valem mais
+      const previous = await storage.list(derivDir(key))
+      for (const e of previous) if (/^page-\d+\.\w+$/.test(e.name)) await storage.delete(e.key)
+      for (const name of [...thumbs, "text.txt"]) await storage.put(derivDir(key) + "/" + name, path.join(workDir, name))
+      const textBytes = (await storage.stat(derivDir(key) + "/text.txt"))?.size ?? 0
+
+      console.log("[pdf] OK:", key, total, "páginas", thumbs.length, "miniaturas", ((Date.now() - started) / 1000).toFixed(1) + "s")
+      return writeStatus(key, stat, { status: "ready", pages: total, thumbnails: thumbs, text: "text.txt", textBytes, error: null })
+    } catch (err) {
+      console.error("[pdf] erro:", key, err.message)
+      return writeStatus(key, stat, { status: "failed", pages: null, thumbnails: [], text: null, textBytes: 0, error: err.message })
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true })
+    }
+  }
+
+  async function writeStatus(key, stat, data) {
+    const status = { ...data, source: sourceOf(stat), updatedAt: new Date().toISOString() }
+    // O PDF pode ter sido apagado ou movido durante o processamento
+    if (await storage.exists(key)) await storage.writeJson(statusKey(key), status)
+    return status
+  }
+
+  function next() {
+    while (active < concurrency && waiting.length) {
+      const { key, resolve } = waiting.shift()
+      active++
+      processPdf(key)
+        .then(resolve, (err) => resolve({ status: "failed", pages: null, thumbnails: [], text: null, textBytes: 0, error: err.message }))
+        .finally(() => {
+          active--
+          running.delete(key)
+          next()
+        })
+    }
+  }
+
+  // Gera (ou regera) os derivados; a Promise resolve com o estado final e nunca rejeita por falha do gs
+  function generate(key) {
+    if (!running.has(key)) {
+      running.set(key, new Promise((resolve) => waiting.push({ key, resolve })))
+      setImmediate(next)
+    }
+    return running.get(key)
+  }
+
+  // Põe o PDF na fila (se já não estiver) e retorna o estado "pending" sem esperar o gs
+  async function enqueue(key) {
+    const stat = await storage.stat(key)
+    if (!stat || stat.isDir) throw new Error("PDF não encontrado: " + key)
+    if (running.has(key)) return (await info(key)) || { status: "pending", pages: null, thumbnails: [], text: null, textBytes: 0, error: null }
+    const status = await writeStatus(key, stat, { status: "pending", pages: null, thumbnails: [], text: null, textBytes: 0, error: null })
+    generate(key)
+    return status
+  }
+
+  // Estado atual. Sem derivados (ou desatualizados) entra na fila; "pending" de um processamento
+  // interrompido por restart também volta para a fila
+  async function ensure(key) {
+    const current = await info(key)
+    if (current && !(current.status === "pending" && !running.has(key))) return current
+    return enqueue(key)
+  }
+
+  return { info, enqueue, ensure }
+}
+
+module.exports = { createPdfPreviews, PREVIEW_FORMATS }
@@ -0,0 +1,216 @@
+const fs   = require("fs")
+const path = require("path")
+
+// Perfis de compressão. Imagens passam pelas `passes` do sharp até ficarem abaixo de
+// `targetBytes` (fica a menor obtida); PDFs passam pelo ghostscript com imagens em `dpi`.
+const PROFILES = {
+  none: null,
+  light: {
+    maxWidth:    2560,
+    dpi:         300,
+    targetBytes: Infinity,
+    passes:      [{ width: 2560, quality: 85 }],
+  },
+  aggressive: {
+    maxWidth:    1920,
+    dpi:         150,
+    targetBytes: 5 * 1024 * 1024,
+    passes: [
+      { width: 1920, quality: 80 },
+      { width: 1920, quality: 65 },
+      { width: 1920, quality: 50 },
+      { width: 1200, quality: 40 },
+      { width: 800,  quality: 35 },
+    ],
+  },
+}
+
+// Estratégias de nome de /upload, /upload-raw e tus
+// auto   — ids do curso se vierem os três, senão slug em subpasta, senão uuid (comportamento original)
+// uuid   — sempre uuid
+// slug   — sempre o nome original "slugificado"
+// course — exige id_curso, id_disciplina e id_professor
+const NAMING = ["auto", "uuid", "slug", "course"]
+
+const FOLDER_RE = /^[a-z0-9][a-z0-9_-]{0,63}$/
+
+const FIELDS = ["extensions", "mimetypes", "maxBytes", "maxUploadBytes", "compression", "private", "naming", "quotaBytes"]
+
+function invalid(where, msg) {
+  return new Error(`${where}: ${msg}`)
+}
+
+function checkList(value, where, itemRe) {
+  if (!Array.isArray(value) || !value.length) throw invalid(where, "precisa ser uma lista não vazia")
+  for (const item of value) {
+    if (typeof item !== "string" || (item !== "*" && !itemRe.test(item)))
+      throw invalid(where, "item inválido: " + JSON.stringify(item))
+  }
+  return value.map(s => s.toLowerCase())
+}
+
+function checkBytes(value, where) {
+  if (!Number.isFinite(value) || value <= 0) throw invalid(where, "precisa ser um número de bytes > 0")
+  return value
+}
+
+// "light" ou { profile: "light", dpi: 200, maxWidth: 1600 } → perfil resolvido (ou null para "none")
+function resolveCompression(value, where) {
+  const spec = typeof value === "string" ? { profile: value } : value
+  if (!spec || typeof spec !== "object") throw invalid(where, "use o nome de um perfil ou { profile, dpi, maxWidth }")
+  for (const k of Object.keys(spec)) {
+    if (!["profile", "dpi", "maxWidth"].includes(k)) throw invalid(where, "campo desconhecido: " + k)
+  }
+  if (!(spec.profile in PROFILES)) throw invalid(where, "perfil inválido. Use: " + Object.keys(PROFILES).join(", "))
+
+  const base = PROFILES[spec.profile]
+  if (!base) return null
+
+  const dpi      = spec.dpi ?? base.dpi
+  const maxWidth = spec.maxWidth ?? base.maxWidth
+  if (!Number.isInteger(dpi) || dpi < 36 || dpi > 1200) throw invalid(where, "dpi precisa ser inteiro entre 36 e 1200")
+  if (!Number.isInteger(maxWidth) || maxWidth < 16) throw invalid(where, "maxWidth precisa ser inteiro >= 16")
+
+  return {
+    profile: spec.profile,
+    dpi,
+    maxWidth,
+    targetBytes: base.targetBytes,
+    passes: base.passes.map(p => ({ ...p, width: Math.min(p.width, maxWidth) })),
+  }
+}
+
+// Cotas por professor: { "*": bytes para quem não tem cota própria, "<id_professor>": bytes }
+function parseProfessorQuotas(value) {
+  if (value === undefined) return {}
+  if (!value || typeof value !== "object" || Array.isArray(value))
+    throw invalid("quotas.professors", "precisa ser um objeto { id_professor: bytes }")
+  const out = {}
+  for (const [id, bytes] of Object.entries(value)) {
+    if (id !== "*" && !/^[A-Za-z0-9_-]{1,64}$/.test(id)) throw invalid("quotas.professors", "id inválido: " + id)
+    out[id] = checkBytes(bytes, "quotas.professors." + id)
+  }
+  return out
+}
+
+// Valida um arquivo de policy e devolve { folders: { nome: regras resolvidas }, professorQuotas }.
+// `defaults` vale para toda pasta; cada pasta só declara o que muda.
+// Cotas: "quotaBytes" na pasta (total guardado nela) e "quotas.professors" (total por id_professor).
+function parsePolicy(data) {
+  if (!data || typeof data !== "object") throw new Error("policy precisa ser um objeto JSON")
+  const folders = data.folders
+  if (!folders || typeof folders !== "object" || !Object.keys(folders).length)
+    throw new Error("policy sem \"folders\"")
+
+  for (const k of Object.keys(data)) {
+    if (!["defaults", "folders", "quotas"].includes(k)) throw new Error("campo desconhecido na policy: " + k)
+  }
+  for (const k of Object.keys(data.quotas || {})) {
+    if (k !== "professors") throw invalid("quotas", "campo desconhecido: " + k)
+  }
+
+  const defaults = data.defaults || {}
+  const resolved = {}
+
+  for (const [name, own] of Object.entries(folders)) {
+    if (!FOLDER_RE.test(name)) throw invalid("folders", "nome de pasta inválido: " + name)
+    const where = "folders." + name
+    for (const k of Object.keys(own || {})) {
+      if (!FIELDS.includes(k)) throw invalid(where, "campo desconhecido: " + k)
+    }
+    const rule = { ...defaults, ...own }
+
+    const naming = rule.naming ?? "auto"
+    if (!NAMING.includes(naming)) throw invalid(where + ".naming", "use: " + NAMING.join(", "))
+
+    resolved[name] = {
+      folder:         name,
+      extensions:     checkList(rule.extensions ?? ["*"], where + ".extensions", /^\.[a-z0-9]{1,10}$/i),
+      mimetypes:      checkList(rule.mimetypes ?? ["*"], where + ".mimetypes", /^[a-z0-9.+-]+\/(\*|[a-z0-9.+-]+)$/i),
+      maxBytes:       checkBytes(rule.maxBytes ?? 20 * 1024 * 1024, where + ".maxBytes"),
+      maxUploadBytes: checkBytes(rule.maxUploadBytes ?? 5 * 1024 * 1024 * 1024, where + ".maxUploadBytes"),
+      compression:    resolveCompression(rule.compression ?? "aggressive", where + ".compression"),
+      private:        rule.private == null ? null : !!rule.private, // null = a policy não decide (vale PRIVATE_FOLDERS)
+      naming,
+      quotaBytes:     rule.quotaBytes == null ? null : checkBytes(rule.quotaBytes, where + ".quotaBytes"),
+    }
+  }
+  return { folders: resolved, professorQuotas: parseProfessorQuotas(data.quotas?.professors) }
+}
+
+// Regras de pastas carregadas de um arquivo JSON (ver policy.json).
+// O arquivo precisa ser válido no boot (senão lança); depois é relido quando o mtime muda e,
+// se a nova versão for inválida, a anterior continua valendo.
+// `folders` é uma lista viva: é atualizada no lugar a cada recarga, então quem guardou a
+// referência (chaves, índice, lixeira...) enxerga pastas novas sem reiniciar.
+function createPolicyStore({ file, onChange }) {
+  const folders = []
+  let current   = null
+  let loadedMtime
+
+  function apply(next) {
+    current = next
+    folders.splice(0, folders.length, ...Object.keys(next.folders))
+    if (onChange) onChange(next)
+  }
+
+  function load(boot) {
+    let stat
+    try {
+      stat = fs.statSync(file)
+    } catch (err) {
+      if (boot) throw new Error("policy não encontrada: " + file)
+      return
+    }
+    if (loadedMtime === stat.mtimeMs) return
+    loadedMtime = stat.mtimeMs
+
+    try {
+      apply(parsePolicy(JSON.parse(fs.readFileSync(file, "utf8"))))
+      console.log("[policy] carregada de", file + ":", folders.join(", "))
+    } catch (err) {
+      if (boot) throw new Error("policy inválida (" + file + "): " + err.message)
+      console.error("[policy] erro ao recarregar", file + ", mantendo a anterior:", err.message)
+    }
+  }
+
+  load(true)
+
+  // Regras da pasta (ou null se a pasta não existe na policy)
+  function get(folder) {
+    load(false)
+    return current.folders[folder] || null
+  }
+
+  // Motivo para recusar um arquivo na pasta (ou null se aceito)
+  function rejects(folder, filename, mimetype) {
+    const rule = get(folder)
+    if (!rule) return "Pasta inválida. Use: " + folders.join(", ")
+    const ext = path.extname(filename || "").toLowerCase()
+    if (!rule.extensions.includes("*") && !rule.extensions.includes(ext))
+      return `Extensão "${ext || "(sem extensão)"}" não permitida em ${folder}. Use: ${rule.extensions.join(", ")}`
+    if (mimetype && !rule.mimetypes.includes("*")) {
+      const type = String(mimetype).toLowerCase().split(";")[0].trim()
+      const ok   = rule.mimetypes.some(m => m === type || (m.endsWith("/*") && type.startsWith(m.slice(0, -1))))
+      if (!ok) return `Tipo "${type}" não permitido em ${folder}. Use: ${rule.mimetypes.join(", ")}`
+    }
+    return null
+  }
+
+  function all() {
+    load(false)
+    return current.folders
+  }
+
+  // Cota (bytes) do professor: a própria, senão a "*", senão null (sem cota)
+  function professorQuota(idProfessor) {
+    load(false)
+    const quotas = current.professorQuotas
+    if (idProfessor && quotas[idProfessor] !== undefined) return quotas[idProfessor]
+    return quotas["*"] ?? null
+  }
+
+  return { folders, get, rejects, all, professorQuota }
+}
+
+module.exports = { createPolicyStore, parsePolicy, PROFILES, NAMING }
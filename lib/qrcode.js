@@ -0,0 +1,53 @@
+const QRCode = require("qrcode")
+const sharp  = require("sharp")
+
+const QR_FORMATS = ["png", "svg"]
+const QR_LEVELS  = ["L", "M", "Q", "H"]
+
+// Lado do logo em relação ao código. Com nível H o código aguenta perder ~30% dos módulos;
+// o quadrado do logo (mais a borda branca) cobre ~6% da área.
+const LOGO_RATIO   = 0.22
+const LOGO_PADDING = 0.1 // borda branca em volta do logo, fração do lado do logo
+
+// Logo centralizado sobre fundo branco, como PNG de `side` x `side` pixels
+async function logoTile(logo, side) {
+  const pad   = Math.max(1, Math.round(side * LOGO_PADDING))
+  const inner = Math.max(1, side - 2 * pad)
+  const white = { r: 255, g: 255, b: 255, alpha: 1 }
+  return sharp(logo)
+    .resize({ width: inner, height: inner, fit: "contain", background: white })
+    .flatten({ background: white })
+    .extend({ top: pad, bottom: pad, left: pad, right: pad, background: white })
+    .png()
+    .toBuffer()
+}
+
+// Renderiza `text` como QR code e retorna o arquivo (Buffer) no formato pedido.
+// size é o lado da imagem em pixels (com a margem), margin é a zona de silêncio em módulos e
+// logo (opcional) é o conteúdo de uma imagem que vai no centro. Lança se o texto não couber.
+async function renderQrCode(text, { format = "png", size = 512, margin = 4, level = "M", logo = null } = {}) {
+  if (!QR_FORMATS.includes(format)) throw new Error("Formato inválido. Use: " + QR_FORMATS.join(", "))
+  if (!QR_LEVELS.includes(level)) throw new Error("Nível de correção inválido. Use: " + QR_LEVELS.join(", "))
+
+  const options = { errorCorrectionLevel: level, margin, width: size }
+  const side    = Math.round(size * LOGO_RATIO)
+
+  if (format === "png") {
+    const png = await QRCode.toBuffer(text, { ...options, type: "png" })
+    if (!logo) return png
+    return sharp(png).composite([{ input: await logoTile(logo, side), gravity: "center" }]).png().toBuffer()
+  }
+
+  let svg = await QRCode.toString(text, { ...options, type: "svg" })
+  if (logo) {
+    // O SVG usa o viewBox em módulos: converte o lado do logo e embute como data URI
+    const units = QRCode.create(text, { errorCorrectionLevel: level }).modules.size + 2 * margin
+    const w     = (units * LOGO_RATIO).toFixed(2)
+    const xy    = ((units - units * LOGO_RATIO) / 2).toFixed(2)
+    const data  = (await logoTile(logo, side)).toString("base64")
+    svg = svg.replace("</svg>", `<image x="${xy}" y="${xy}" width="${w}" height="${w}" href="data:image/png;base64,${data}"/></svg>`)
+  }
+  return Buffer.from(svg)
+}
+
+module.exports = { renderQrCode, QR_FORMATS, QR_LEVELS }
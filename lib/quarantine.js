@@ -0,0 +1,63 @@
+const fs     = require("fs")
+const path   = require("path")
+const crypto = require("crypto")
+
+const ID_RE = /^[a-f0-9]{24}$/
+
+// Quarentena: arquivos recusados na inspeção (tipo real não confere, vírus) ficam em
+// <dir>/<id>.bin + <id>.json, fora de UPLOAD_DIR/pastas públicas e nunca servidos por /files.
+function createQuarantine({ dir }) {
+  fs.mkdirSync(dir, { recursive: true })
+
+  const recordPath = (id) => path.join(dir, id + ".json")
+  const dataPath   = (id) => path.join(dir, id + ".bin")
+
+  function read(id) {
+    if (!ID_RE.test(String(id))) return null
+    try {
+      return JSON.parse(fs.readFileSync(recordPath(id), "utf8"))
+    } catch {
+      return null
+    }
+  }
+
+  // Move `srcPath` para a quarentena. `info` descreve o arquivo: { path, reason, detected, uploader, source... }
+  function add(srcPath, info) {
+    const id = crypto.randomBytes(12).toString("hex")
+    try {
+      fs.renameSync(srcPath, dataPath(id))
+    } catch (err) {
+      if (err.code !== "EXDEV") throw err
+      fs.copyFileSync(srcPath, dataPath(id))
+      fs.unlinkSync(srcPath)
+    }
+    const record = {
+      id,
+      ...info,
+      size:          fs.statSync(dataPath(id)).size,
+      quarantinedAt: new Date().toISOString(),
+    }
+    fs.writeFileSync(recordPath(id), JSON.stringify(record, null, 2))
+    return record
+  }
+
+  function list() {
+    return fs.readdirSync(dir)
+      .filter(n => n.endsWith(".json"))
+      .map(n => read(n.slice(0, -5)))
+      .filter(Boolean)
+      .sort((a, b) => b.quarantinedAt.localeCompare(a.quarantinedAt))
+  }
+
+  // Apaga definitivamente
+  function remove(id) {
+    if (!read(id)) return false
+    fs.rmSync(dataPath(id), { force: true })
+    fs.rmSync(recordPath(id), { force: true })
+    return true
+  }
+
+  return { add, list, remove }
+}
+
+module.exports = { createQuarantine }
@@ -0,0 +1,360 @@
+const fs     = require("fs")
+const http   = require("http")
+const https  = require("https")
+const crypto = require("crypto")
+const { checkKey, notFound } = require("./storage")
+
+// Driver S3-compatível (AWS S3, MinIO, R2...), sem SDK: requisições assinadas com SigV4.
+// Opções: { endpoint, region, bucket, accessKeyId, secretAccessKey, prefix, forcePathStyle }
+//   endpoint       — "http://minio:9000" ou "https://s3.sa-east-1.amazonaws.com"
+//   prefix         — prefixo opcional das chaves dentro do bucket (ex.: "cpcon/")
+//   forcePathStyle — http://host/bucket/chave (padrão; o MinIO exige) em vez de http://bucket.host/chave
+// Pastas são prefixos; mkdir grava um objeto vazio "pasta/" para a pasta existir sem arquivos.
+// Arquivos acima de MULTIPART_THRESHOLD sobem em partes; cópias acima de COPY_MAX_SINGLE (limite
+// do CopyObject) também são feitas em partes, com UploadPartCopy.
+const MULTIPART_THRESHOLD = 64 * 1024 * 1024
+const PART_SIZE           = 16 * 1024 * 1024
+const COPY_MAX_SINGLE     = 5 * 1024 * 1024 * 1024
+const COPY_PART_SIZE      = 512 * 1024 * 1024 // 10.000 partes (máximo do S3) cobrem objetos de 5TB
+const DELETE_BATCH        = 1000
+
+// A listagem traz milissegundos e o HEAD (Last-Modified) não: usa segundos inteiros nos dois
+const wholeSeconds = (date) => new Date(Math.floor(Date.parse(date) / 1000) * 1000)
+
+const sha256Hex = (data) => crypto.createHash("sha256").update(data).digest("hex")
+const hmac      = (key, data) => crypto.createHmac("sha256", key).update(data).digest()
+
+// Codificação RFC 3986 exigida pela assinatura (encodeURIComponent deixa !'()* passarem)
+const encode     = (s) => encodeURIComponent(s).replace(/[!'()*]/g, (c) => "%" + c.charCodeAt(0).toString(16).toUpperCase())
+const encodePath = (p) => p.split("/").map(encode).join("/")
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'" }
+const unxml = (s) => s.replace(/&(amp|lt|gt|quot|apos|#\d+);/g, (_, e) => e[0] === "#" ? String.fromCharCode(Number(e.slice(1))) : XML_ENTITIES[e])
+const escapeXml = (s) => s.replace(/[<>&'"]/g, (c) => "&" + Object.keys(XML_ENTITIES).find(k => XML_ENTITIES[k] === c) + ";")
+
+// Valores de <tag> dentro de um trecho de XML (as respostas do S3 são simples o bastante)
+const xmlAll = (xml, tag) => [...xml.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, "g"))].map(m => m[1])
+const xmlOne = (xml, tag) => { const v = xmlAll(xml, tag)[0]; return v === undefined ? undefined : unxml(v) }
+
+// Assinatura SigV4 (AWS4-HMAC-SHA256) de uma requisição ao serviço "s3"
+function signRequest({ method, host, uri, query, headers, payloadHash, region, accessKeyId, secretAccessKey, date = new Date() }) {
+  const amzDate   = date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "")
+  const dateStamp = amzDate.slice(0, 8)
+  const scope     = `${dateStamp}/${region}/s3/aws4_request`
+
+  const all = { ...headers, host, "x-amz-date": amzDate, "x-amz-content-sha256": payloadHash }
+  const names = Object.keys(all).map(h => h.toLowerCase()).sort()
+  const lower = Object.fromEntries(Object.entries(all).map(([k, v]) => [k.toLowerCase(), String(v).trim().replace(/\s+/g, " ")]))
+
+  const canonicalQuery = Object.entries(query || {})
+    .map(([k, v]) => [encode(k), encode(String(v))])
+    .sort(([a, av], [b, bv]) => a < b ? -1 : a > b ? 1 : av < bv ? -1 : av > bv ? 1 : 0)
+    .map(([k, v]) => k + "=" + v)
+    .join("&")
+
+  const canonical = [
+    method,
+    uri,
+    canonicalQuery,
+    names.map(n => n + ":" + lower[n]).join("\n") + "\n",
+    names.join(";"),
+    payloadHash,
+  ].join("\n")
+
+  const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256Hex(canonical)].join("\n")
+  const signingKey   = hmac(hmac(hmac(hmac("AWS4" + secretAccessKey, dateStamp), region), "s3"), "aws4_request")
+  const signature    = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex")
+
+  return {
+    ...all,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(";")}, Signature=${signature}`,
+  }
+}
+
+function s3Error(status, body, what) {
+  const code    = xmlOne(body || "", "Code")
+  const message = xmlOne(body || "", "Message")
+  return Object.assign(new Error(`S3 ${what}: ${status}${code ? " " + code : ""}${message ? " - " + message : ""}`), { status: 502, s3Status: status, s3Code: code })
+}
+
+function createS3Driver({ endpoint, region = "us-east-1", bucket, accessKeyId, secretAccessKey, prefix = "", forcePathStyle = true, timeoutMs = 60_000 }) {
+  if (!endpoint || !bucket || !accessKeyId || !secretAccessKey)
+    throw new Error("S3 precisa de S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID e S3_SECRET_ACCESS_KEY")
+
+  const base     = new URL(endpoint)
+  const client   = base.protocol === "https:" ? https : http
+  const host     = forcePathStyle ? base.host : bucket + "." + base.host
+  const basePath = base.pathname.replace(/\/+$/, "") + (forcePathStyle ? "/" + encode(bucket) : "")
+  const keyPrefix = prefix ? prefix.replace(/^\/+|\/+$/g, "") + "/" : ""
+
+  const objectKey = (key) => keyPrefix + checkKey(key)
+  const fromObjectKey = (k) => k.slice(keyPrefix.length)
+
+  // Executa uma requisição assinada. body: Buffer | Readable (com `length`) | undefined.
+  // Retorna { status, headers, stream } (resposta não consumida) ou, com buffer: true, { ..., body: string }
+  function request(method, key, { query = {}, headers = {}, body, length, buffer = true, expect } = {}) {
+    const uri = basePath + "/" + (key === null ? "" : encodePath(key))
+    const payloadHash = Buffer.isBuffer(body) ? sha256Hex(body) : body ? "UNSIGNED-PAYLOAD" : sha256Hex("")
+    const signed = signRequest({ method, host, uri, query, headers, payloadHash, region, accessKeyId, secretAccessKey })
+    if (Buffer.isBuffer(body)) signed["content-length"] = body.length
+    else if (body) signed["content-length"] = length
+    else if (method === "PUT" || method === "POST") signed["content-length"] = 0
+
+    const qs = Object.entries(query).map(([k, v]) => encode(k) + (v === "" ? "" : "=" + encode(String(v)))).join("&")
+
+    return new Promise((resolve, reject) => {
+      const req = client.request({
+        protocol: base.protocol,
+        hostname: forcePathStyle ? base.hostname : bucket + "." + base.hostname,
+        port:     base.port,
+        method,
+        path:     uri + (qs ? "?" + qs : ""),
+        headers:  signed,
+        timeout:  timeoutMs,
+      }, (res) => {
+        const ok = expect ? expect.includes(res.statusCode) : res.statusCode < 300
+        if (!buffer && ok) {
+          // Quem consome o stream pode pausar (cliente lento); o timeout só vale até a resposta
+          req.setTimeout(0)
+          return resolve({ status: res.statusCode, headers: res.headers, stream: res })
+        }
+        const chunks = []
+        res.on("data", (c) => chunks.push(c))
+        res.on("error", reject)
+        res.on("end", () => {
+          const text = Buffer.concat(chunks).toString("utf8")
+          if (!ok) return reject(s3Error(res.statusCode, text, method + " " + (key ?? "/")))
+          resolve({ status: res.statusCode, headers: res.headers, body: text })
+        })
+      })
+      req.on("timeout", () => req.destroy(new Error(`S3 não respondeu em ${timeoutMs}ms`)))
+      req.on("error", reject)
+      if (Buffer.isBuffer(body)) req.end(body)
+      else if (body) {
+        body.on("error", (err) => req.destroy(err))
+        body.pipe(req)
+      } else req.end()
+    })
+  }
+
+  async function head(objKey) {
+    try {
+      const { headers } = await request("HEAD", objKey, { expect: [200] })
+      return headers
+    } catch (err) {
+      if (err.s3Status === 404) return null
+      throw err
+    }
+  }
+
+  // ListObjectsV2 paginado. Com delimiter "/", devolve também os prefixos (subpastas)
+  async function listObjects(objPrefix, delimiter) {
+    const objects  = []
+    const prefixes = []
+    let token
+    do {
+      const query = { "list-type": "2", prefix: objPrefix }
+      if (delimiter) query.delimiter = delimiter
+      if (token) query["continuation-token"] = token
+      const { body } = await request("GET", null, { query })
+      for (const c of xmlAll(body, "Contents")) {
+        objects.push({
+          key:   xmlOne(c, "Key"),
+          size:  Number(xmlOne(c, "Size")),
+          mtime: wholeSeconds(xmlOne(c, "LastModified")),
+          etag:  (xmlOne(c, "ETag") || "").replace(/"/g, ""),
+        })
+      }
+      for (const p of xmlAll(body, "CommonPrefixes")) prefixes.push(xmlOne(p, "Prefix"))
+      token = xmlOne(body, "IsTruncated") === "true" ? xmlOne(body, "NextContinuationToken") : null
+    } while (token)
+    return { objects, prefixes }
+  }
+
+  async function stat(key) {
+    const headers = await head(objectKey(key))
+    if (headers) {
+      return {
+        size:    Number(headers["content-length"]),
+        mtime:   wholeSeconds(headers["last-modified"]),
+        isDir:   false,
+        version: (headers.etag || "").replace(/"/g, ""),
+      }
+    }
+    // Pasta: marcador "pasta/" ou qualquer objeto abaixo do prefixo
+    const dirPrefix = objectKey(key) + "/"
+    const { body } = await request("GET", null, { query: { "list-type": "2", prefix: dirPrefix, "max-keys": "1" } })
+    const first = xmlAll(body, "Contents")[0]
+    if (!first) return null
+    const marker = xmlOne(first, "Key") === dirPrefix
+    return { size: 0, mtime: marker ? wholeSeconds(xmlOne(first, "LastModified")) : null, isDir: true, version: null }
+  }
+
+  async function list(prefix, { recursive = false } = {}) {
+    const dirPrefix = objectKey(prefix) + "/"
+    const { objects, prefixes } = await listObjects(dirPrefix, recursive ? null : "/")
+    const out  = []
+    const dirs = new Map() // chave → mtime do marcador (ou null)
+
+    for (const o of objects) {
+      const key = fromObjectKey(o.key).replace(/\/$/, "")
+      if (o.key === dirPrefix) continue
+      if (o.key.endsWith("/")) { dirs.set(key, o.mtime); continue }
+      out.push({ key, name: key.split("/").pop(), isDir: false, size: o.size, mtime: o.mtime })
+      // Pastas implícitas (sem marcador) entre o prefixo e o arquivo
+      if (recursive) {
+        const parts = key.slice(prefix.length + 1).split("/").slice(0, -1)
+        for (let i = 1; i <= parts.length; i++) {
+          const dir = prefix + "/" + parts.slice(0, i).join("/")
+          if (!dirs.has(dir)) dirs.set(dir, null)
+        }
+      }
+    }
+    for (const p of prefixes) {
+      const key = fromObjectKey(p).replace(/\/$/, "")
+      if (!dirs.has(key)) dirs.set(key, null)
+    }
+    for (const [key, mtime] of dirs) out.push({ key, name: key.split("/").pop(), isDir: true, size: null, mtime })
+    return out
+  }
+
+  async function get(key, { start, end } = {}) {
+    const headers = {}
+    if (start !== undefined || end !== undefined) headers.range = `bytes=${start ?? 0}-${end ?? ""}`
+    try {
+      const { stream } = await request("GET", objectKey(key), { headers, buffer: false, expect: [200, 206] })
+      return stream
+    } catch (err) {
+      if (err.s3Status === 404) throw notFound(key)
+      throw err
+    }
+  }
+
+  async function putFile(objKey, file, size) {
+    if (size <= MULTIPART_THRESHOLD) {
+      await request("PUT", objKey, { body: fs.createReadStream(file), length: size })
+      return
+    }
+
+    await multipart(objKey, size, PART_SIZE, async (n, start, end, uploadId) => {
+      const { headers } = await request("PUT", objKey, {
+        query:  { partNumber: n, uploadId },
+        body:   fs.createReadStream(file, { start, end }),
+        length: end - start + 1,
+      })
+      return headers.etag
+    })
+  }
+
+  // Upload em partes de `partSize`: sendPart(n, start, end, uploadId) grava uma parte e retorna o ETag.
+  // Em qualquer falha o upload é abortado (as partes já gravadas não ficam cobrando espaço)
+  async function multipart(objKey, size, partSize, sendPart) {
+    const { body } = await request("POST", objKey, { query: { uploads: "" } })
+    const uploadId = xmlOne(body, "UploadId")
+    const parts    = []
+    try {
+      for (let n = 1, start = 0; start < size; n++, start += partSize) {
+        const end = Math.min(start + partSize, size) - 1
+        parts.push({ n, etag: await sendPart(n, start, end, uploadId) })
+      }
+      const xml = "<CompleteMultipartUpload>" +
+        parts.map(p => `<Part><PartNumber>${p.n}</PartNumber><ETag>${escapeXml(p.etag)}</ETag></Part>`).join("") +
+        "</CompleteMultipartUpload>"
+      const done = await request("POST", objKey, { query: { uploadId }, body: Buffer.from(xml) })
+      // O S3 pode responder 200 com <Error> no corpo
+      if (done.body.includes("<Error>")) throw s3Error(500, done.body, "CompleteMultipartUpload")
+    } catch (err) {
+      await request("DELETE", objKey, { query: { uploadId }, expect: [204, 200, 404] }).catch(() => {})
+      throw err
+    }
+  }
+
+  async function put(key, source, { keep = false } = {}) {
+    const objKey = objectKey(key)
+    if (Buffer.isBuffer(source)) {
+      await request("PUT", objKey, { body: source })
+      return
+    }
+    await putFile(objKey, source, fs.statSync(source).size)
+    if (!keep) fs.rmSync(source, { force: true })
+  }
+
+  // `src` é { key, size } (objeto de objectsOf)
+  async function copyObject(src, dstObj) {
+    const source = "/" + bucket + "/" + encodePath(src.key)
+    if (src.size <= COPY_MAX_SINGLE) {
+      const { body } = await request("PUT", dstObj, { headers: { "x-amz-copy-source": source } })
+      if (body.includes("<Error>")) throw s3Error(500, body, "CopyObject")
+      return
+    }
+    await multipart(dstObj, src.size, COPY_PART_SIZE, async (n, start, end, uploadId) => {
+      const { body } = await request("PUT", dstObj, {
+        query:   { partNumber: n, uploadId },
+        headers: { "x-amz-copy-source": source, "x-amz-copy-source-range": `bytes=${start}-${end}` },
+      })
+      if (body.includes("<Error>")) throw s3Error(500, body, "UploadPartCopy")
+      return xmlOne(body, "ETag")
+    })
+  }
+
+  // Objetos da chave ({ key, size }): o próprio arquivo ou tudo abaixo do prefixo "chave/"
+  async function objectsOf(key) {
+    const objKey  = objectKey(key)
+    const headers = await head(objKey)
+    if (headers) return [{ key: objKey, size: Number(headers["content-length"]) }]
+    const { objects } = await listObjects(objKey + "/", null)
+    return objects.map(o => ({ key: o.key, size: o.size }))
+  }
+
+  async function deleteObjects(keys) {
+    for (let i = 0; i < keys.length; i += DELETE_BATCH) {
+      const batch = keys.slice(i, i + DELETE_BATCH)
+      const xml   = Buffer.from("<Delete><Quiet>true</Quiet>" +
+        batch.map(k => `<Object><Key>${escapeXml(k)}</Key></Object>`).join("") + "</Delete>")
+      const { body } = await request("POST", null, {
+        query:   { delete: "" },
+        headers: { "content-md5": crypto.createHash("md5").update(xml).digest("base64") },
+        body:    xml,
+      })
+      const errors = xmlAll(body, "Error")
+      if (errors.length) throw new Error("S3 DeleteObjects: " + xmlOne(errors[0], "Key") + " " + xmlOne(errors[0], "Code"))
+    }
+  }
+
+  async function copy(src, dst) {
+    const srcObj  = objectKey(src)
+    const dstObj  = objectKey(dst)
+    const objects = await objectsOf(src)
+    if (!objects.length) throw notFound(src)
+    await del(dst)
+    for (const o of objects) await copyObject(o, dstObj + o.key.slice(srcObj.length))
+    return objects
+  }
+
+  // O S3 não tem rename: copia e apaga a origem
+  async function move(src, dst) {
+    const objects = await copy(src, dst)
+    await deleteObjects(objects.map(o => o.key))
+  }
+
+  async function del(key) {
+    const objects = await objectsOf(key)
+    if (objects.length) await deleteObjects(objects.map(o => o.key))
+  }
+
+  async function mkdir(key) {
+    const parts = checkKey(key).split("/")
+    for (let i = 1; i <= parts.length; i++) {
+      const marker = keyPrefix + parts.slice(0, i).join("/") + "/"
+      if (!(await head(marker))) await request("PUT", marker, { body: Buffer.alloc(0) })
+    }
+  }
+
+  async function check() {
+    await request("GET", null, { query: { "list-type": "2", "max-keys": "1", prefix: keyPrefix } })
+  }
+
+  return { name: "s3", stat, list, get, put, copy, move, delete: del, mkdir, localPath: () => null, check }
+}
+
+module.exports = { createS3Driver, signRequest }
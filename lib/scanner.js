@@ -0,0 +1,65 @@
+const fs  = require("fs")
+const net = require("net")
+
+const CHUNK = 64 * 1024
+
+// Endereço do clamd: "/run/clamav/clamd.ctl" (socket unix) ou "tcp://host:3310"
+function connectOptions(address) {
+  const m = /^tcp:\/\/([^:/]+):(\d+)$/.exec(address)
+  return m ? { host: m[1], port: Number(m[2]) } : { path: address }
+}
+
+// Antivírus via clamd (protocolo INSTREAM): o arquivo é enviado em blocos pelo socket,
+// então o clamd não precisa enxergar o disco do servidor.
+// scan(filepath) → { infected: false } | { infected: true, signature }; lança se o clamd
+// não responder (quem chama decide se falha aberto ou fechado).
+function createClamdScanner({ address, timeoutMs = 60_000 }) {
+  function scan(filepath) {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect(connectOptions(address))
+      const input  = fs.createReadStream(filepath, { highWaterMark: CHUNK })
+      let reply    = ""
+      let settled  = false
+
+      const finish = (err, result) => {
+        if (settled) return
+        settled = true
+        input.destroy()
+        socket.destroy()
+        err ? reject(err) : resolve(result)
+      }
+
+      socket.setTimeout(timeoutMs, () => finish(new Error(`clamd não respondeu em ${timeoutMs}ms`)))
+      socket.on("error", (err) => finish(new Error("clamd indisponível: " + err.message)))
+      input.on("error", (err) => finish(err))
+
+      socket.on("connect", async () => {
+        try {
+          socket.write("zINSTREAM\0")
+          for await (const chunk of input) {
+            const size = Buffer.alloc(4)
+            size.writeUInt32BE(chunk.length)
+            if (!socket.write(Buffer.concat([size, chunk]))) await new Promise(r => socket.once("drain", r))
+          }
+          socket.end(Buffer.alloc(4)) // bloco de tamanho zero encerra o stream
+        } catch (err) {
+          finish(err)
+        }
+      })
+
+      socket.on("data", (data) => { reply += data.toString("utf8") })
+      socket.on("end", () => {
+        // "stream: OK" | "stream: Eicar-Test-Signature FOUND" | "INSTREAM size limit exceeded. ERROR"
+        const text = reply.replace(/\0/g, "").trim()
+        if (/:\s*OK$/.test(text)) return finish(null, { infected: false })
+        const found = /:\s*(.+)\s+FOUND$/.exec(text)
+        if (found) return finish(null, { infected: true, signature: found[1] })
+        finish(new Error("resposta inesperada do clamd: " + (text || "(vazia)")))
+      })
+    })
+  }
+
+  return { scan }
+}
+
+module.exports = { createClamdScanner }
@@ -0,0 +1,69 @@
+const fs    = require("fs")
+const sharp = require("sharp")
+
+const A4_WIDTH_PT = 595.28 // largura da página em pontos; a altura segue a proporção da foto
+
+// Prepara a foto de uma página: gira conforme o EXIF, limita a largura e, se pedido, converte
+// para tons de cinza / alto contraste (normaliza o histograma e reforça o traço). Retorna o JPEG.
+async function preparePage(filepath, { width, quality, grayscale, contrast }) {
+  let img = sharp(filepath)
+    .rotate()
+    .resize({ width, withoutEnlargement: true })
+    .flatten({ background: "#ffffff" })
+  if (contrast) img = img.normalise().linear(1.3, -30).sharpen()
+  if (grayscale || contrast) img = img.toColourspace("b-w")
+  const { data, info } = await img.jpeg({ quality, mozjpeg: true }).toBuffer({ resolveWithObject: true })
+  return { data, width: info.width, height: info.height, gray: info.channels === 1 }
+}
+
+// PDF mínimo com um JPEG por página (DCTDecode: o JPEG entra como está, sem recodificar)
+function writePdf(outPath, pages) {
+  const chunks  = []
+  const offsets = []
+  let length    = 0
+  const push = (buf) => { chunks.push(buf); length += buf.length }
+  const text = (str) => push(Buffer.from(str, "latin1"))
+  const object = (n, body, stream) => {
+    offsets[n] = length
+    text(n + " 0 obj\n" + body)
+    if (stream) {
+      text("\nstream\n")
+      push(stream)
+      text("\nendstream")
+    }
+    text("\nendobj\n")
+  }
+
+  // 1: catálogo, 2: árvore de páginas, depois (página, conteúdo, imagem) para cada foto
+  const pageRef = (i) => 3 + i * 3
+  text("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n")
+  object(1, "<< /Type /Catalog /Pages 2 0 R >>")
+  object(2, "<< /Type /Pages /Kids [" + pages.map((_, i) => pageRef(i) + " 0 R").join(" ") + "] /Count " + pages.length + " >>")
+  pages.forEach((page, i) => {
+    const n = pageRef(i)
+    const w = A4_WIDTH_PT.toFixed(2)
+    const h = (A4_WIDTH_PT * page.height / page.width).toFixed(2)
+    const draw = Buffer.from(`q ${w} 0 0 ${h} 0 0 cm /Im0 Do Q`, "latin1")
+    object(n, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${w} ${h}] /Resources << /XObject << /Im0 ${n + 2} 0 R >> >> /Contents ${n + 1} 0 R >>`)
+    object(n + 1, `<< /Length ${draw.length} >>`, draw)
+    object(n + 2, `<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} /ColorSpace /${page.gray ? "DeviceGray" : "DeviceRGB"} /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.data.length} >>`, page.data)
+  })
+
+  const count = offsets.length
+  const xref  = length
+  text("xref\n0 " + count + "\n0000000000 65535 f \n")
+  for (let n = 1; n < count; n++) text(String(offsets[n]).padStart(10, "0") + " 00000 n \n")
+  text("trailer\n<< /Size " + count + " /Root 1 0 R >>\nstartxref\n" + xref + "\n%%EOF\n")
+  fs.writeFileSync(outPath, Buffer.concat(chunks))
+}
+
+// Monta as fotos (caminhos locais, na ordem) num PDF em `outPath`, uma página por foto na
+// largura de uma folha A4. A compressão final fica com o ghostscript (compress() da pasta).
+async function assembleScans(files, outPath, { width = 1654, quality = 80, grayscale = false, contrast = false } = {}) {
+  const pages = []
+  for (const filepath of files) pages.push(await preparePage(filepath, { width, quality, grayscale, contrast }))
+  writePdf(outPath, pages)
+  return { pages: pages.length }
+}
+
+module.exports = { assembleScans }
@@ -0,0 +1,41 @@
+const path = require("path")
+const { pipeline } = require("stream")
+
+// Envia um arquivo do armazenamento (lib/storage.js) com o que o express.static fazia:
+// HEAD, Content-Type pela extensão, Last-Modified, ETag, 304 (If-None-Match / If-Modified-Since)
+// e Range (206/416). `stat` é o de storage.stat(key).
+// Opções: etag (senão usa um ETag fraco de tamanho+mtime), headers extras (Cache-Control...), type.
+async function sendStored(storage, req, res, key, stat, { etag, headers = {}, type } = {}) {
+  res.type(type || path.extname(key) || "application/octet-stream")
+  res.set(headers)
+  res.set("Accept-Ranges", "bytes")
+  res.set("Last-Modified", stat.mtime.toUTCString())
+  res.set("ETag", etag || `W/"${stat.size.toString(16)}-${stat.mtime.getTime().toString(16)}"`)
+
+  if (req.fresh) return res.status(304).end()
+
+  let start = 0
+  let end   = stat.size - 1
+  const ranges = req.headers.range ? req.range(stat.size, { combine: true }) : null
+  if (ranges === -1) {
+    res.set("Content-Range", `bytes */${stat.size}`)
+    return res.status(416).end()
+  }
+  // Só um intervalo (como o send do express); múltiplos ou malformados recebem o arquivo inteiro
+  if (Array.isArray(ranges) && ranges.length === 1 && ranges.type === "bytes") {
+    start = ranges[0].start
+    end   = ranges[0].end
+    res.status(206)
+    res.set("Content-Range", `bytes ${start}-${end}/${stat.size}`)
+  }
+
+  res.set("Content-Length", String(stat.size ? end - start + 1 : 0))
+  if (req.method === "HEAD" || !stat.size) return res.end()
+
+  const stream = await storage.get(key, { start, end })
+  pipeline(stream, res, (err) => {
+    if (err && err.code !== "ERR_STREAM_PREMATURE_CLOSE") console.error("[files] erro ao enviar:", key, err.message)
+  })
+}
+
+module.exports = { sendStored }
@@ -0,0 +1,28 @@
+const crypto = require("crypto")
+
+// URLs assinadas para pastas privadas: HMAC-SHA256 sobre "caminho\nexpiração".
+// O caminho é o relativo a UPLOAD_DIR já decodificado (ex.: "redacoes/turma-a/x.pdf").
+function createSigner({ secret, defaultTtl, maxTtl }) {
+  function signature(relPath, expires) {
+    return crypto.createHmac("sha256", secret).update(relPath + "\n" + expires).digest("base64url")
+  }
+
+  // Retorna { expires, sig } para o caminho, com ttl em segundos (limitado a maxTtl)
+  function sign(relPath, ttl) {
+    const seconds = Math.min(Math.max(1, Number(ttl) || defaultTtl), maxTtl)
+    const expires = Math.floor(Date.now() / 1000) + seconds
+    return { expires, sig: signature(relPath, expires) }
+  }
+
+  function verify(relPath, expires, sig) {
+    const exp = Number(expires)
+    if (!sig || !Number.isInteger(exp) || exp < Date.now() / 1000) return false
+    const expected = Buffer.from(signature(relPath, exp))
+    const given    = Buffer.from(String(sig))
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  }
+
+  return { sign, verify }
+}
+
+module.exports = { createSigner }
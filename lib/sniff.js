@@ -0,0 +1,161 @@
+const fs   = require("fs")
+const path = require("path")
+
+const HEAD_BYTES = 4100
+
+// Assinaturas binárias (magic bytes) reconhecidas. `at` é o deslocamento no arquivo.
+const SIGNATURES = [
+  { type: "jpeg", mime: "image/jpeg",      bytes: [0xff, 0xd8, 0xff] },
+  { type: "png",  mime: "image/png",       bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: "gif",  mime: "image/gif",       ascii: "GIF8" },
+  { type: "webp", mime: "image/webp",      ascii: "RIFF", and: { at: 8, ascii: "WEBP" } },
+  { type: "pdf",  mime: "application/pdf", ascii: "%PDF-" },
+  { type: "zip",  mime: "application/zip", bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: "zip",  mime: "application/zip", bytes: [0x50, 0x4b, 0x05, 0x06] }, // zip vazio
+  { type: "ole",  mime: "application/x-ole-storage", bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] },
+  { type: "ebml", mime: "video/webm",      bytes: [0x1a, 0x45, 0xdf, 0xa3] },
+  { type: "mp3",  mime: "audio/mpeg",      ascii: "ID3" },
+  { type: "exe",  mime: "application/x-msdownload",   ascii: "MZ" },
+  { type: "elf",  mime: "application/x-executable",   bytes: [0x7f, 0x45, 0x4c, 0x46] },
+  { type: "macho", mime: "application/x-mach-binary", bytes: [0xcf, 0xfa, 0xed, 0xfe] },
+  { type: "macho", mime: "application/x-mach-binary", bytes: [0xca, 0xfe, 0xba, 0xbe] },
+]
+
+// Marcas ISO-BMFF (caixa "ftyp" no byte 4): AVIF/HEIC e vídeos MP4/MOV
+const AVIF_BRANDS = ["avif", "avis"]
+const HEIC_BRANDS = ["heic", "heix", "hevc", "mif1", "msf1"]
+
+// Tipos que nunca podem ser servidos por /files (executam no navegador ou no sistema)
+const DANGEROUS = ["html", "exe", "elf", "macho", "script"]
+
+// Extensões recusadas qualquer que seja o conteúdo: o navegador ou o sistema as executa, e um
+// trecho de HTML/JS no meio do arquivo passa pela detecção (que só olha o começo)
+const DANGEROUS_EXTS = [".html", ".htm", ".xhtml", ".js", ".mjs", ".sh", ".exe"]
+
+// Tipos de conteúdo aceitos para cada extensão conhecida
+const EXPECTED = {
+  ".jpg":  ["jpeg"], ".jpeg": ["jpeg"], ".png": ["png"], ".gif": ["gif"], ".webp": ["webp"], ".avif": ["avif"],
+  ".heic": ["heic"], ".svg":  ["svg"],
+  ".pdf":  ["pdf"],
+  ".zip":  ["zip"],
+  ".docx": ["zip"], ".xlsx": ["zip"], ".pptx": ["zip"], ".odt": ["zip"], ".ods": ["zip"], ".odp": ["zip"], ".epub": ["zip"],
+  ".doc":  ["ole"], ".xls":  ["ole"], ".ppt":  ["ole"],
+  ".mp4":  ["mp4"], ".m4v":  ["mp4"], ".mov":  ["mp4"], ".mkv": ["ebml"], ".webm": ["ebml"],
+  ".mp3":  ["mp3"],
+  ".txt":  ["text"], ".csv": ["text"], ".md": ["text"], ".json": ["text"],
+}
+
+function matches(head, sig, at = 0) {
+  if (sig.bytes) return sig.bytes.every((b, i) => head[at + i] === b)
+  return head.toString("latin1", at, at + sig.ascii.length) === sig.ascii
+}
+
+function looksLikeText(head) {
+  if (!head.length) return false
+  let control = 0
+  for (const b of head) {
+    if (b === 0) return false
+    if (b < 0x09 || (b > 0x0d && b < 0x20)) control++
+  }
+  return control / head.length < 0.01
+}
+
+// Tipo real a partir dos primeiros bytes: { type, mime } (type null se desconhecido)
+function detect(head) {
+  for (const sig of SIGNATURES) {
+    if (matches(head, sig) && (!sig.and || matches(head, sig.and, sig.and.at))) return { type: sig.type, mime: sig.mime }
+  }
+
+  if (head.toString("latin1", 4, 8) === "ftyp") {
+    const brand = head.toString("latin1", 8, 12).trim()
+    if (AVIF_BRANDS.includes(brand)) return { type: "avif", mime: "image/avif" }
+    if (HEIC_BRANDS.includes(brand)) return { type: "heic", mime: "image/heic" }
+    return { type: "mp4", mime: brand === "qt" ? "video/quicktime" : "video/mp4" }
+  }
+  if (head[0] === 0xff && (head[1] & 0xe0) === 0xe0) return { type: "mp3", mime: "audio/mpeg" }
+
+  if (looksLikeText(head)) {
+    const text = head.toString("utf8").replace(/^\uFEFF/, "").trimStart().toLowerCase()
+    if (text.startsWith("#!")) return { type: "script", mime: "text/x-shellscript" }
+    if (/^<(!doctype html|html|head|body|script|iframe)[\s>]/.test(text)) return { type: "html", mime: "text/html" }
+    if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!doctype svg[^>]*>\s*)?<svg[\s>]/.test(text)) return { type: "svg", mime: "image/svg+xml" }
+    return { type: "text", mime: "text/plain" }
+  }
+  return { type: null, mime: null }
+}
+
+async function sniffFile(filepath) {
+  const fh = await fs.promises.open(filepath, "r")
+  try {
+    const buf = Buffer.alloc(HEAD_BYTES)
+    const { bytesRead } = await fh.read(buf, 0, HEAD_BYTES, 0)
+    return detect(buf.subarray(0, bytesRead))
+  } finally {
+    await fh.close()
+  }
+}
+
+// Referências de caractere (&#106; &#x6a; &colon; ...) viram o próprio caractere, para a busca
+// abaixo não ser contornada por "&#106;avascript:"
+const NAMED_REFS = { colon: ":", tab: "\t", newline: "\n", lt: "<", gt: ">", quot: "\"", apos: "'", amp: "&" }
+const decodeRefs = (text) => text
+  .replace(/&#x([0-9a-f]+);?/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16) % 0x110000))
+  .replace(/&#(\d+);?/g, (_, dec) => String.fromCodePoint(Number(dec) % 0x110000))
+  .replace(/&([a-z]+);/gi, (ref, name) => NAMED_REFS[name.toLowerCase()] ?? ref)
+
+// SVG pode carregar script; recusa no upload o que for obviamente executável. É só uma primeira
+// barreira: /files serve SVG como anexo e com CSP sem script (servingOptions)
+async function svgHasScript(filepath) {
+  const text = decodeRefs(await fs.promises.readFile(filepath, "utf8")).toLowerCase()
+  // O navegador ignora espaços/tabs no meio de "javascript:" dentro de URLs
+  return /<script[\s>]|j[\s\0]*a[\s\0]*v[\s\0]*a[\s\0]*s[\s\0]*c[\s\0]*r[\s\0]*i[\s\0]*p[\s\0]*t[\s\0]*:|<foreignobject[\s>]|\son[a-z]+\s*=/.test(text)
+}
+
+// Motivo para recusar o arquivo `name` cujo conteúdo foi detectado como `detected` (ou null)
+async function contentMismatch(filepath, name, detected) {
+  const ext = path.extname(name).toLowerCase()
+  if (DANGEROUS_EXTS.includes(ext))
+    return `Extensão não permitida: ${ext} (${name})`
+  if (DANGEROUS.includes(detected.type))
+    return `Conteúdo não permitido (${detected.mime}) em ${name}`
+  const expected = EXPECTED[ext]
+  if (expected && !expected.includes(detected.type))
+    return `Conteúdo de ${name} não confere com a extensão ${ext} (detectado: ${detected.mime || "desconhecido"})`
+  if (detected.type === "svg" && await svgHasScript(filepath))
+    return `SVG com script não é permitido (${name})`
+  return null
+}
+
+// Extensões servidas com o tipo da própria extensão: formatos binários cujo conteúdo o upload já
+// conferiu (EXPECTED) e as playlists/segmentos HLS gerados pelo servidor
+const INERT_EXTS = [
+  ...Object.keys(EXPECTED).filter(ext => !EXPECTED[ext].some(t => t === "text" || t === "svg")),
+  ".m3u8", ".ts",
+]
+const TEXT_TYPES = ["text", "html", "svg", "script"]
+
+async function readHead(storage, key) {
+  const chunks = []
+  for await (const chunk of await storage.get(key, { start: 0, end: HEAD_BYTES - 1 })) chunks.push(chunk)
+  return Buffer.concat(chunks)
+}
+
+// SVG é XML ativo: sai como anexo e com CSP que impede script (vale mesmo se algo passou por
+// svgHasScript). Em <img> o navegador ignora o anexo e exibe normalmente
+const SVG_HEADERS = {
+  "Content-Security-Policy": "script-src 'none'; object-src 'none'; sandbox",
+  "Content-Disposition":     "attachment",
+}
+
+// Como /files serve `key` (`stat` de storage.stat): { type (null = o da extensão), headers }.
+// Qualquer texto sai como text/plain, para o navegador nunca interpretar como HTML/script um
+// arquivo enviado com outro nome ou gravado antes das regras de upload atuais
+async function servingOptions(storage, key, stat) {
+  const ext = path.extname(key).toLowerCase()
+  if (ext === ".svg") return { type: null, headers: SVG_HEADERS }
+  if (!stat.size || INERT_EXTS.includes(ext)) return { type: null, headers: {} }
+  const text = TEXT_TYPES.includes(detect(await readHead(storage, key)).type)
+  return { type: text ? "text/plain; charset=utf-8" : null, headers: {} }
+}
+
+module.exports = { sniffFile, detect, contentMismatch, servingOptions, EXPECTED, DANGEROUS_EXTS }
@@ -0,0 +1,226 @@
+const fs     = require("fs")
+const path   = require("path")
+const crypto = require("crypto")
+const { pipeline } = require("stream/promises")
+
+// Armazenamento dos arquivos das pastas (tudo que /files serve, inclusive .trash, .versions e
+// .deriv). As chaves são caminhos relativos "pasta/sub/arquivo", sempre com "/"; uma "pasta" é
+// um prefixo. O estado interno (DATA_DIR: índice, jobs, tus, quarentena) continua em disco local.
+//
+// Interface dos drivers (tudo assíncrono):
+//   stat(key)                   → { size, mtime: Date, isDir, version } | null
+//                                 (version muda a cada gravação: inode+mtime no disco, ETag no S3)
+//   list(prefix, { recursive }) → [{ key, name, isDir, size, mtime }] — filhos diretos, ou toda a
+//                                 subárvore (arquivos e pastas) com recursive
+//   get(key, { start, end })    → Promise<Readable> (erro com code "ENOENT" se não existir)
+//   put(key, source, { keep })  — source: caminho de um arquivo local (é consumido, salvo com
+//                                 keep) ou Buffer
+//   copy(src, dst), move(src, dst) — arquivo ou pasta inteira; o destino é substituído
+//   delete(key)                 — arquivo ou pasta inteira; não existir não é erro
+//   mkdir(key)
+//   localPath(key)              → caminho no disco (só no driver local; null nos remotos)
+//   check()                     — lança se o armazenamento não estiver acessível
+const DRIVERS = ["local", "s3"]
+
+function notFound(key) {
+  return Object.assign(new Error("Arquivo não encontrado: " + key), { code: "ENOENT", status: 404 })
+}
+
+// Recusa chaves que sairiam da raiz (as rotas já sanitizam; isto é a última barreira)
+function checkKey(key) {
+  const k = String(key)
+  if (!k || k.startsWith("/") || k.split("/").some(p => !p || p === "." || p === ".."))
+    throw new Error("Chave de armazenamento inválida: " + k)
+  return k
+}
+
+// rename com fallback para cópia quando origem e destino estão em volumes diferentes
+async function renameOrCopy(src, dst) {
+  try {
+    await fs.promises.rename(src, dst)
+  } catch (err) {
+    if (err.code !== "EXDEV") throw err
+    await fs.promises.cp(src, dst, { recursive: true })
+    await fs.promises.rm(src, { recursive: true, force: true })
+  }
+}
+
+// Driver local: os arquivos ficam em `root` (UPLOAD_DIR), como sempre ficaram
+function createLocalDriver({ root }) {
+  const abs = (key) => path.join(root, ...checkKey(key).split("/"))
+
+  async function stat(key) {
+    try {
+      const s = await fs.promises.stat(abs(key))
+      return { size: s.isFile() ? s.size : 0, mtime: s.mtime, isDir: s.isDirectory(), version: s.ino + "-" + s.mtimeMs }
+    } catch (err) {
+      if (err.code === "ENOENT" || err.code === "ENOTDIR") return null
+      throw err
+    }
+  }
+
+  async function list(prefix, { recursive = false } = {}) {
+    const out = []
+    async function walk(rel) {
+      let entries
+      try {
+        entries = await fs.promises.readdir(abs(rel), { withFileTypes: true })
+      } catch (err) {
+        if (err.code === "ENOENT" || err.code === "ENOTDIR") return
+        throw err
+      }
+      for (const e of entries) {
+        if (!e.isFile() && !e.isDirectory()) continue
+        const key = rel + "/" + e.name
+        const s   = await fs.promises.stat(abs(key)).catch(() => null)
+        if (!s) continue // apagado no meio da listagem
+        out.push({ key, name: e.name, isDir: e.isDirectory(), size: e.isFile() ? s.size : null, mtime: s.mtime })
+        if (recursive && e.isDirectory()) await walk(key)
+      }
+    }
+    await walk(checkKey(prefix))
+    return out
+  }
+
+  async function get(key, { start, end } = {}) {
+    const file = abs(key)
+    const s    = await fs.promises.stat(file).catch(() => null)
+    if (!s || !s.isFile()) throw notFound(key)
+    return fs.createReadStream(file, { start, end })
+  }
+
+  async function put(key, source, { keep = false } = {}) {
+    const file = abs(key)
+    await fs.promises.mkdir(path.dirname(file), { recursive: true })
+    if (keep) {
+      await fs.promises.copyFile(source, file)
+    } else if (Buffer.isBuffer(source)) {
+      const tmp = path.join(path.dirname(file), "." + path.basename(file) + "." + crypto.randomBytes(4).toString("hex") + ".tmp")
+      await fs.promises.writeFile(tmp, source)
+      await fs.promises.rename(tmp, file)
+    } else {
+      await renameOrCopy(source, file)
+    }
+  }
+
+  async function copy(src, dst) {
+    const to = abs(dst)
+    await fs.promises.rm(to, { recursive: true, force: true })
+    await fs.promises.mkdir(path.dirname(to), { recursive: true })
+    await fs.promises.cp(abs(src), to, { recursive: true, preserveTimestamps: true })
+  }
+
+  async function move(src, dst) {
+    const from = abs(src)
+    const to   = abs(dst)
+    if (!fs.existsSync(from)) throw notFound(src)
+    await fs.promises.mkdir(path.dirname(to), { recursive: true })
+    if (fs.existsSync(to) && (await fs.promises.stat(to)).isDirectory())
+      await fs.promises.rm(to, { recursive: true, force: true })
+    await renameOrCopy(from, to)
+  }
+
+  async function del(key) {
+    await fs.promises.rm(abs(key), { recursive: true, force: true })
+  }
+
+  async function mkdir(key) {
+    await fs.promises.mkdir(abs(key), { recursive: true })
+  }
+
+  async function check() {
+    await fs.promises.access(root, fs.constants.W_OK)
+  }
+
+  return { name: "local", stat, list, get, put, copy, move, delete: del, mkdir, localPath: abs, check }
+}
+
+// Envolve o driver com utilitários usados pelo servidor e pelos módulos (lixeira, versões, vídeo...).
+// `scratchDir` é um diretório local para cópias temporárias quando o driver não é o de disco.
+function withHelpers(driver, { scratchDir }) {
+  fs.mkdirSync(scratchDir, { recursive: true })
+
+  const scratchPath = (key) => path.join(scratchDir, crypto.randomBytes(8).toString("hex") + path.extname(key).toLowerCase())
+
+  async function exists(key) {
+    return !!(await driver.stat(key))
+  }
+
+  async function readFile(key) {
+    const chunks = []
+    for await (const chunk of await driver.get(key)) chunks.push(chunk)
+    return Buffer.concat(chunks)
+  }
+
+  // JSON guardado no armazenamento (registros da lixeira, índice de versões, estado do vídeo)
+  async function readJson(key) {
+    try {
+      return JSON.parse((await readFile(key)).toString("utf8"))
+    } catch {
+      return null
+    }
+  }
+
+  function writeJson(key, data) {
+    return driver.put(key, Buffer.from(JSON.stringify(data, null, 2)))
+  }
+
+  // Baixa `key` para um arquivo local
+  async function download(key, dest) {
+    await fs.promises.mkdir(path.dirname(dest), { recursive: true })
+    await pipeline(await driver.get(key), fs.createWriteStream(dest))
+  }
+
+  // fn(caminho local) com o conteúdo de `key` só para leitura (sharp, ffmpeg, yauzl...).
+  // No driver local é o próprio arquivo; nos outros, uma cópia temporária apagada no fim.
+  async function withLocalFile(key, fn) {
+    const local = driver.localPath(key)
+    if (local) return fn(local)
+    const tmp = scratchPath(key)
+    try {
+      await download(key, tmp)
+      return await fn(tmp)
+    } finally {
+      fs.rmSync(tmp, { force: true })
+    }
+  }
+
+  // Como withLocalFile, mas fn pode alterar o arquivo (ex.: compressão); a versão alterada volta
+  // para o armazenamento. Se fn apagar o arquivo, `key` também é apagado.
+  async function editLocalFile(key, fn) {
+    const local = driver.localPath(key)
+    if (local) return fn(local)
+    const tmp = scratchPath(key)
+    try {
+      await download(key, tmp)
+      const before = fs.statSync(tmp)
+      const result = await fn(tmp)
+      const after  = fs.existsSync(tmp) ? fs.statSync(tmp) : null
+      if (!after) await driver.delete(key)
+      else if (after.size !== before.size || after.mtimeMs !== before.mtimeMs) await driver.put(key, tmp)
+      return result
+    } finally {
+      fs.rmSync(tmp, { force: true })
+    }
+  }
+
+  // sha256 (hex) do conteúdo
+  async function sha256(key) {
+    const hash = crypto.createHash("sha256")
+    for await (const chunk of await driver.get(key)) hash.update(chunk)
+    return hash.digest("hex")
+  }
+
+  return { ...driver, exists, readFile, readJson, writeJson, download, withLocalFile, editLocalFile, sha256, scratchPath }
+}
+
+// driver: "local" (root) | "s3" (s3: opções de lib/s3.js)
+function createStorage({ driver = "local", root, s3, scratchDir }) {
+  if (!DRIVERS.includes(driver)) throw new Error("STORAGE_DRIVER inválido. Use: " + DRIVERS.join(", "))
+  const base = driver === "s3"
+    ? require("./s3").createS3Driver(s3)
+    : createLocalDriver({ root })
+  return withHelpers(base, { scratchDir })
+}
+
+module.exports = { createStorage, createLocalDriver, DRIVERS, checkKey, notFound }
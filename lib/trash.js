@@ -0,0 +1,128 @@
+const path   = require("path")
+const crypto = require("crypto")
+const { derivDir, moveDerivatives } = require("./derivatives")
+
+// Lixeira por pasta: <folder>/.trash/<id>/<nome original> + <folder>/.trash/<id>.json
+// O registro guarda o caminho original, quem apagou e quando, e dados extras do chamador
+// (ex.: as linhas do índice de metadados, para restaurar com os mesmos dados).
+// Tudo fica no armazenamento (lib/storage.js), junto com a pasta.
+const TRASH_DIR = ".trash"
+const ID_RE     = /^[a-f0-9]{24}$/
+
+const RESTORE_CONFLICTS = ["fail", "rename", "overwrite"]
+
+async function treeSize(storage, key, stat) {
+  if (!stat.isDir) return stat.size
+  const entries = await storage.list(key, { recursive: true })
+  return entries.reduce((sum, e) => sum + (e.isDir ? 0 : e.size), 0)
+}
+
+// "foto.jpg" → "foto (1).jpg"; pastas: "turma" → "turma (1)"
+async function uniqueKey(storage, target, isDir) {
+  const ext  = isDir ? "" : path.extname(target)
+  const base = target.slice(0, target.length - ext.length)
+  for (let i = 1; ; i++) {
+    const candidate = `${base} (${i})${ext}`
+    if (!(await storage.exists(candidate))) return candidate
+  }
+}
+
+function createTrash({ storage, folders, retentionDays }) {
+  const trashDir   = (folder) => folder + "/" + TRASH_DIR
+  const recordKey  = (folder, id) => trashDir(folder) + "/" + id + ".json"
+  const itemDir    = (folder, id) => trashDir(folder) + "/" + id
+
+  function read(folder, id) {
+    if (!folders.includes(folder) || !ID_RE.test(id)) return null
+    return storage.readJson(recordKey(folder, id))
+  }
+
+  // Move `relPath` (arquivo ou pasta) para a lixeira da pasta de primeiro nível.
+  // onTrash(itemDir) permite guardar junto dados relacionados (ex.: versões do arquivo)
+  async function trash(relPath, { deletedBy, extra, onTrash } = {}) {
+    const folder = relPath.split("/")[0]
+    const stat   = await storage.stat(relPath)
+    const id     = crypto.randomBytes(12).toString("hex")
+    const dest   = itemDir(folder, id) + "/" + path.posix.basename(relPath)
+
+    const record = {
+      id,
+      folder,
+      originalPath: relPath,
+      name:         path.posix.basename(relPath),
+      isDir:        stat.isDir,
+      size:         await treeSize(storage, relPath, stat),
+      deletedBy:    deletedBy || null,
+      deletedAt:    new Date().toISOString(),
+      extra:        extra || null,
+    }
+
+    await storage.move(relPath, dest)
+    if (!record.isDir) await moveDerivatives(storage, relPath, dest)
+    if (onTrash) await onTrash(itemDir(folder, id))
+    await storage.writeJson(recordKey(folder, id), record)
+    return record
+  }
+
+  async function list(folder) {
+    const entries = await storage.list(trashDir(folder))
+    const records = await Promise.all(entries
+      .filter(e => !e.isDir && e.name.endsWith(".json"))
+      .map(e => read(folder, e.name.slice(0, -5))))
+    return records
+      .filter(Boolean)
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+  }
+
+  // Devolve o item ao caminho original. conflict: fail (erro 409) | rename | overwrite
+  // onRestore(itemDir, restoredRelPath) roda antes de o item sair da lixeira
+  async function restore(folder, id, { conflict = "fail", onRestore } = {}) {
+    const record = await read(folder, id)
+    if (!record) return null
+
+    const src  = itemDir(folder, id) + "/" + record.name
+    let target = record.originalPath
+
+    if (await storage.exists(target)) {
+      if (conflict === "fail")
+        throw Object.assign(new Error("Já existe um item no caminho original"), { status: 409, code: "conflict" })
+      if (conflict === "rename") target = await uniqueKey(storage, target, record.isDir)
+      if (conflict === "overwrite") {
+        await storage.delete(target)
+        await storage.delete(derivDir(target))
+      }
+    }
+
+    await storage.move(src, target)
+    if (!record.isDir) await moveDerivatives(storage, src, target)
+    if (onRestore) await onRestore(itemDir(folder, id), target)
+    await purge(folder, id)
+
+    return { ...record, restoredPath: target }
+  }
+
+  // Apaga definitivamente um item da lixeira
+  async function purge(folder, id) {
+    if (!(await read(folder, id))) return false
+    await storage.delete(itemDir(folder, id))
+    await storage.delete(recordKey(folder, id))
+    return true
+  }
+
+  // Remove itens mais antigos que retentionDays
+  async function purgeExpired() {
+    const cutoff = new Date(Date.now() - retentionDays * 86400 * 1000).toISOString()
+    let removed = 0
+    for (const folder of folders) {
+      for (const record of await list(folder)) {
+        if (record.deletedAt < cutoff && await purge(folder, record.id)) removed++
+      }
+    }
+    if (removed) console.log("[trash] limpeza:", removed, "itens expirados removidos")
+    return removed
+  }
+
+  return { trash, list, restore, purge, purgeExpired }
+}
+
+module.exports = { createTrash, RESTORE_CONFLICTS, TRASH_DIR }
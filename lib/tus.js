@@ -0,0 +1,288 @@
+const express = require("express")
+const fs      = require("fs")
+const path    = require("path")
+const crypto  = require("crypto")
+const { Transform, pipeline } = require("stream")
+
+// Servidor tus 1.0.0 (https://tus.io/protocols/resumable-upload) para uploads retomáveis.
+// Extensões: creation, termination, expiration.
+// Cada sessão fica em `dir` como <id>.json (metadados) + <id>.bin (bytes recebidos);
+// o offset atual é sempre o tamanho do .bin, então sobrevive a restart.
+
+const TUS_VERSION    = "1.0.0"
+const TUS_EXTENSIONS = "creation,termination,expiration"
+const ID_RE          = /^[a-f0-9]{32}$/
+
+// "filename Zm9vLm1wNA==,folder dmlkZW9z" → { filename: "foo.mp4", folder: "videos" }
+function parseMetadata(header) {
+  const meta = {}
+  if (!header) return meta
+  for (const pair of String(header).split(",")) {
+    const [key, value] = pair.trim().split(" ")
+    if (!key) continue
+    meta[key] = value ? Buffer.from(value, "base64").toString("utf8") : ""
+  }
+  return meta
+}
+
+function encodeMetadata(meta) {
+  return Object.entries(meta)
+    .map(([k, v]) => k + " " + Buffer.from(String(v)).toString("base64"))
+    .join(",")
+}
+
+// Conta os bytes do PATCH e aborta se ultrapassar o Upload-Length
+function limitStream(max) {
+  let received = 0
+  return new Transform({
+    transform(chunk, _enc, cb) {
+      received += chunk.length
+      if (received > max) return cb(new Error("Upload-Length excedido"))
+      cb(null, chunk)
+    },
+  })
+}
+
+// Opções:
+//   dir          — onde ficam as sessões
+//   basePath     — URL absoluta do endpoint (usada no header Location)
+//   maxSize(m)   — tamanho máximo para os metadados m (Infinity = sem limite)
+//   expireMs     — tempo de vida de uma sessão sem concluir
+//   authenticate — middleware de auth (preenche req.apiKey); OPTIONS dispensa
+//   authorize(req, meta) — retorna mensagem de erro (403) ou null
+//   validate(meta)       — retorna mensagem de erro (400) ou null
+//   finalize(session, binPath, req) — move o arquivo para o destino final e retorna o resultado
+//                                     (JSON); se lançar, responde com err.status (400 se não houver)
+function createTusRouter({ dir, basePath, maxSize, expireMs, authenticate, authorize, validate, finalize }) {
+  fs.mkdirSync(dir, { recursive: true })
+
+  const router = express.Router()
+  const locks  = new Set()
+
+  const jsonPath = (id) => path.join(dir, id + ".json")
+  const binPath  = (id) => path.join(dir, id + ".bin")
+
+  function readSession(id) {
+    if (!ID_RE.test(id)) return null
+    try {
+      return JSON.parse(fs.readFileSync(jsonPath(id), "utf8"))
+    } catch {
+      return null
+    }
+  }
+
+  function writeSession(session) {
+    const tmp = jsonPath(session.id) + ".tmp"
+    fs.writeFileSync(tmp, JSON.stringify(session))
+    fs.renameSync(tmp, jsonPath(session.id))
+  }
+
+  function removeSession(id) {
+    for (const p of [jsonPath(id), binPath(id)]) {
+      try { fs.unlinkSync(p) } catch {}
+    }
+  }
+
+  function currentOffset(session) {
+    if (session.completedAt) return session.length
+    try { return fs.statSync(binPath(session.id)).size } catch { return 0 }
+  }
+
+  // Sessão da requisição, só visível para a chave que a criou
+  function ownSession(req, res) {
+    const session = readSession(req.params.id)
+    if (!session || session.key !== req.apiKey.name) {
+      res.status(404).json({ error: "Upload não encontrado" })
+      return null
+    }
+    if (!session.completedAt && Date.parse(session.expiresAt) < Date.now()) {
+      removeSession(session.id)
+      res.status(410).json({ error: "Upload expirado" })
+      return null
+    }
+    return session
+  }
+
+  // Remove sessões expiradas (concluídas ou não)
+  function cleanup() {
+    let removed = 0
+    for (const name of fs.readdirSync(dir)) {
+      if (!name.endsWith(".json")) continue
+      const id = name.slice(0, -5)
+      const session = readSession(id)
+      if (session && Date.parse(session.expiresAt) > Date.now()) continue
+      if (locks.has(id)) continue
+      removeSession(id)
+      removed++
+    }
+    if (removed) console.log("[tus] limpeza:", removed, "sessões expiradas removidas")
+    return removed
+  }
+
+  router.use((req, res, next) => {
+    // Clientes atrás de proxies que só aceitam GET/POST
+    const override = req.headers["x-http-method-override"]
+    if (override) req.method = String(override).toUpperCase()
+
+    res.set("Tus-Resumable", TUS_VERSION)
+    if (req.method === "OPTIONS" || req.method === "GET") return next()
+    if (req.headers["tus-resumable"] !== TUS_VERSION) {
+      res.set("Tus-Version", TUS_VERSION)
+      return res.status(412).json({ error: "Versão tus não suportada. Use: " + TUS_VERSION })
+    }
+    next()
+  })
+
+  // OPTIONS /tus — descoberta de capacidades
+  router.options("/", (_req, res) => {
+    res.set({ "Tus-Version": TUS_VERSION, "Tus-Extension": TUS_EXTENSIONS })
+    const max = maxSize({})
+    if (Number.isFinite(max)) res.set("Tus-Max-Size", String(max))
+    res.status(204).end()
+  })
+
+  router.use(authenticate)
+
+  // POST /tus — cria a sessão (Upload-Length + Upload-Metadata com filename, folder, subfolder, ...)
+  router.post("/", (req, res) => {
+    if (req.headers["upload-defer-length"])
+      return res.status(400).json({ error: "Upload-Defer-Length não suportado" })
+
+    const length = Number(req.headers["upload-length"])
+    if (!Number.isSafeInteger(length) || length < 0)
+      return res.status(400).json({ error: "Upload-Length inválido" })
+
+    // Aceita os parâmetros também na query, como em /upload
+    const meta = { ...req.query, ...parseMetadata(req.headers["upload-metadata"]) }
+
+    const invalid = validate(meta)
+    if (invalid) return res.status(400).json({ error: invalid })
+
+    const denied = authorize(req, meta)
+    if (denied) return res.status(403).json({ error: denied })
+
+    if (length > maxSize(meta)) return res.status(413).json({ error: "Arquivo maior que o permitido" })
+
+    const now = Date.now()
+    const session = {
+      id:        crypto.randomBytes(16).toString("hex"),
+      key:       req.apiKey.name,
+      length,
+      meta,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + expireMs).toISOString(),
+    }
+    fs.writeFileSync(binPath(session.id), "")
+    writeSession(session)
+
+    console.log("[tus] criado:", session.id, (meta.folder || "") + "/" + (meta.filename || ""), length + "B", "key=" + session.key)
+
+    res.set({
+      "Location":      basePath + "/" + session.id,
+      "Upload-Expires": new Date(session.expiresAt).toUTCString(),
+    })
+    res.status(201).end()
+  })
+
+  // HEAD /tus/:id — offset atual para retomar
+  router.head("/:id", (req, res) => {
+    const session = ownSession(req, res)
+    if (!session) return
+    res.set({
+      "Upload-Offset":   String(currentOffset(session)),
+      "Upload-Length":   String(session.length),
+      "Upload-Metadata": encodeMetadata(session.meta),
+      "Upload-Expires":  new Date(session.expiresAt).toUTCString(),
+      "Cache-Control":   "no-store",
+    })
+    res.status(200).end()
+  })
+
+  // GET /tus/:id — estado em JSON (fora do protocolo; traz o resultado após concluir)
+  router.get("/:id", (req, res) => {
+    const session = ownSession(req, res)
+    if (!session) return
+    res.set("Cache-Control", "no-store").json({
+      id:          session.id,
+      offset:      currentOffset(session),
+      length:      session.length,
+      folder:      session.meta.folder,
+      filename:    session.meta.filename,
+      expiresAt:   session.expiresAt,
+      completedAt: session.completedAt || null,
+      result:      session.result || null,
+      error:       session.error || null,
+    })
+  })
+
+  // PATCH /tus/:id — anexa um pedaço a partir de Upload-Offset
+  router.patch("/:id", (req, res) => {
+    if (req.headers["content-type"] !== "application/offset+octet-stream")
+      return res.status(415).json({ error: "Content-Type deve ser application/offset+octet-stream" })
+
+    const session = ownSession(req, res)
+    if (!session) return
+    if (session.completedAt) return res.status(409).json({ error: "Upload já concluído" })
+    if (locks.has(session.id)) return res.status(423).json({ error: "Upload em andamento em outra requisição" })
+
+    const offset = currentOffset(session)
+    if (Number(req.headers["upload-offset"]) !== offset) {
+      res.set("Upload-Offset", String(offset))
+      return res.status(409).json({ error: "Upload-Offset não confere" })
+    }
+
+    locks.add(session.id)
+    const out = fs.createWriteStream(binPath(session.id), { flags: "a" })
+
+    pipeline(req, limitStream(session.length - offset), out, async (err) => {
+      const newOffset = currentOffset(session)
+      res.set({
+        "Upload-Offset":  String(newOffset),
+        "Upload-Expires": new Date(session.expiresAt).toUTCString(),
+      })
+
+      if (err) {
+        locks.delete(session.id)
+        // Conexão caiu: o que chegou fica salvo e o cliente retoma via HEAD
+        console.warn("[tus] PATCH interrompido:", session.id, err.message, "offset=" + newOffset)
+        if (!res.headersSent && !req.destroyed) res.status(400).json({ error: err.message })
+        return
+      }
+
+      if (newOffset < session.length) {
+        locks.delete(session.id)
+        return res.status(204).end()
+      }
+
+      try {
+        session.result = await finalize(session, binPath(session.id), req)
+        console.log("[tus] concluído:", session.id, session.result.url)
+      } catch (e) {
+        console.error("[tus] erro ao finalizar:", session.id, e.message)
+        session.error       = e.message
+        session.errorStatus = e.status || 400
+      }
+      session.completedAt = new Date().toISOString()
+      writeSession(session)
+      try { fs.unlinkSync(binPath(session.id)) } catch {}
+      locks.delete(session.id)
+
+      if (session.error) return res.status(session.errorStatus).json({ error: session.error })
+      res.status(204).end()
+    })
+  })
+
+  // DELETE /tus/:id — cancela e apaga os bytes recebidos
+  router.delete("/:id", (req, res) => {
+    const session = ownSession(req, res)
+    if (!session) return
+    if (locks.has(session.id)) return res.status(423).json({ error: "Upload em andamento em outra requisição" })
+    removeSession(session.id)
+    console.log("[tus] cancelado:", session.id, "key=" + req.apiKey.name)
+    res.status(204).end()
+  })
+
+  return { router, cleanup }
+}
+
+module.exports = { createTusRouter, parseMetadata }
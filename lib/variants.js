@@ -0,0 +1,111 @@
+const fs    = require("fs")
+const path  = require("path")
+const sharp = require("sharp")
+const { derivDir, derivParent } = require("./derivatives")
+const { sendStored } = require("./serve")
+
+const FORMATS = { jpeg: "image/jpeg", png: "image/png", webp: "image/webp", avif: "image/avif" }
+const FORMAT_ALIASES = { jpg: "jpeg" }
+
+// Formato "natural" de uma extensão (usado quando o navegador não aceita AVIF/WebP)
+const EXT_FORMATS = { ".jpg": "jpeg", ".jpeg": "jpeg", ".png": "png", ".webp": "webp", ".avif": "avif" }
+
+// Variantes de imagem sob demanda: GET /files/imagens/foo.jpg?w=320&fmt=webp
+// - `w` precisa estar na allowlist `widths` (evita gerar infinitas variantes)
+// - sem `fmt`, escolhe AVIF/WebP pelo header Accept (e responde com Vary: Accept)
+// - a variante é gerada uma vez e fica em foo.jpg.deriv/w320.webp; é regerada se o original mudar
+// - etag(res, name), opcional, dá o ETag da variante (senão fica o ETag fraco de tamanho+mtime)
+function createVariantHandler({ storage, widths, quality, cacheControl, etag }) {
+  const pending = new Map() // evita gerar a mesma variante em paralelo
+
+  function negotiate(accept, ext) {
+    const a = String(accept || "")
+    if (a.includes("image/avif")) return "avif"
+    if (a.includes("image/webp")) return "webp"
+    const natural = EXT_FORMATS[ext]
+    return natural === "avif" || natural === "webp" ? "jpeg" : natural
+  }
+
+  async function generate(src, out, width, format) {
+    const tmp = storage.scratchPath(out)
+    try {
+      await storage.withLocalFile(src, (local) => {
+        let img = sharp(local).rotate()
+        if (width) img = img.resize({ width, withoutEnlargement: true })
+        return img.toFormat(format, format === "png" ? {} : { quality }).toFile(tmp)
+      })
+      await storage.put(out, tmp)
+    } finally {
+      fs.rmSync(tmp, { force: true })
+    }
+  }
+
+  async function freshStat(out, srcStat) {
+    const stat = await storage.stat(out)
+    return stat && stat.mtime >= srcStat.mtime ? stat : null
+  }
+
+  return async (req, res, next) => {
+    if (req.method !== "GET" && req.method !== "HEAD") return next()
+    if (req.query.w === undefined && req.query.fmt === undefined) return next()
+
+    let relPath
+    try {
+      relPath = decodeURIComponent(req.path).replace(/^\/+/, "")
+    } catch {
+      return next()
+    }
+    const ext = path.extname(relPath).toLowerCase()
+    if (!EXT_FORMATS[ext]) return next()
+
+    const width = req.query.w !== undefined ? Number(req.query.w) : null
+    if (width !== null && !widths.includes(width))
+      return res.status(400).json({ error: "Largura não permitida. Use: " + widths.join(", ") })
+
+    let format = req.query.fmt ? String(req.query.fmt).toLowerCase() : null
+    format = FORMAT_ALIASES[format] || format
+    if (format && !FORMATS[format])
+      return res.status(400).json({ error: "Formato inválido. Use: " + Object.keys(FORMATS).join(", ") })
+
+    const negotiated = !format
+    if (negotiated) format = negotiate(req.headers.accept, ext)
+
+    // Mesmo tratamento de caminho de /files: nada oculto nem fora da raiz
+    const parts = relPath.split("/")
+    if (parts.some(p => !p || p.startsWith(".") || p === "..")) return next()
+    const src = parts.join("/")
+    // Variantes só de originais: de um derivado geraria .deriv dentro de .deriv sem fim
+    if (derivParent(src)) return next()
+
+    const srcStat = await storage.stat(src).catch(() => null)
+    if (!srcStat || srcStat.isDir) return next()
+
+    const name = (width ? "w" + width : "full") + "." + format
+    const out  = derivDir(src) + "/" + name
+
+    let outStat
+    try {
+      outStat = await freshStat(out, srcStat)
+      if (!outStat) {
+        if (!pending.has(out)) {
+          pending.set(out, generate(src, out, width, format).finally(() => pending.delete(out)))
+        }
+        await pending.get(out)
+        outStat = await storage.stat(out)
+      }
+    } catch (err) {
+      console.error("[variants] erro:", relPath, name, err.message)
+      return res.status(422).json({ error: "Não foi possível gerar a variante da imagem" })
+    }
+
+    const headers = { "Cache-Control": cacheControl(res) }
+    if (negotiated) headers["Vary"] = "Accept"
+    try {
+      await sendStored(storage, req, res, out, outStat, { headers, type: FORMATS[format], etag: etag && etag(res, name) })
+    } catch (err) {
+      next(err)
+    }
+  }
+}
+
+module.exports = { createVariantHandler, EXT_FORMATS }
@@ -0,0 +1,114 @@
+const path = require("path")
+
+// Versões anteriores de arquivos sobrescritos.
+// "questoes/lista/prova.pdf" guarda versões em "questoes/.versions/lista/prova.pdf/":
+//   1.pdf, 2.pdf, ...  — conteúdo de cada versão
+//   versions.json      — [{ version, size, createdAt, replacedBy }]
+// Como a estrutura espelha os caminhos, mover uma pasta é só mover a subárvore de versões.
+// Tudo fica no armazenamento (lib/storage.js), junto com a pasta.
+const VERSIONS_DIR = ".versions"
+
+function createVersionStore({ storage, limitFor }) {
+  function storeDir(relPath) {
+    const [folder, ...rest] = relPath.split("/")
+    return [folder, VERSIONS_DIR, ...rest].join("/")
+  }
+
+  const indexKey   = (relPath) => storeDir(relPath) + "/versions.json"
+  const versionKey = (relPath, n) => storeDir(relPath) + "/" + n + path.extname(relPath).toLowerCase()
+
+  async function list(relPath) {
+    return (await storage.readJson(indexKey(relPath))) || []
+  }
+
+  const writeIndex = (relPath, entries) => storage.writeJson(indexKey(relPath), entries)
+
+  // Remove as versões mais antigas além do limite da pasta
+  async function prune(relPath, entries) {
+    const limit = limitFor(relPath.split("/")[0])
+    while (entries.length > limit) {
+      const old = entries.shift()
+      await storage.delete(versionKey(relPath, old.version))
+    }
+    return entries
+  }
+
+  // Guarda o conteúdo atual de relPath como nova versão (antes de ser sobrescrito).
+  // Retorna a versão criada, ou null se não havia arquivo ou a pasta não guarda versões.
+  async function preserve(relPath, { replacedBy } = {}) {
+    const stat = await storage.stat(relPath)
+    if (!stat || stat.isDir || limitFor(relPath.split("/")[0]) <= 0) return null
+
+    const entries = await list(relPath)
+    const version = entries.length ? entries[entries.length - 1].version + 1 : 1
+    await storage.move(relPath, versionKey(relPath, version))
+
+    const entry = {
+      version,
+      size:       stat.size,
+      modified:   stat.mtime.toISOString(),
+      createdAt:  new Date().toISOString(),
+      replacedBy: replacedBy || null,
+    }
+    entries.push(entry)
+    await writeIndex(relPath, await prune(relPath, entries))
+    return entry
+  }
+
+  // Desfaz um preserve() quando a gravação do novo conteúdo falhou
+  async function rollback(relPath, entry) {
+    if (!entry) return
+    const key = versionKey(relPath, entry.version)
+    if (!(await storage.exists(key))) return
+    await storage.delete(relPath)
+    await storage.move(key, relPath)
+    await writeIndex(relPath, (await list(relPath)).filter(e => e.version !== entry.version))
+  }
+
+  // Versão N com a chave do conteúdo no armazenamento (`key`)
+  async function get(relPath, version) {
+    const entry = (await list(relPath)).find(e => e.version === Number(version))
+    if (!entry) return null
+    return { ...entry, key: versionKey(relPath, entry.version) }
+  }
+
+  // Torna a versão N o conteúdo atual; o conteúdo atual vira uma nova versão
+  async function restore(relPath, version, { replacedBy } = {}) {
+    const entry = await get(relPath, version)
+    if (!entry) return null
+    // Copia antes do preserve(), que pode podar justamente a versão pedida
+    const tmp = storeDir(relPath) + "/restore.tmp"
+    await storage.copy(entry.key, tmp)
+    const saved = await preserve(relPath, { replacedBy })
+    await storage.move(tmp, relPath)
+    return { restored: entry.version, saved }
+  }
+
+  // Acompanha o arquivo (ou pasta) quando ele é movido
+  async function move(srcRel, dstRel) {
+    if (!(await storage.exists(storeDir(srcRel)))) return
+    await storage.delete(storeDir(dstRel))
+    await storage.move(storeDir(srcRel), storeDir(dstRel))
+  }
+
+  function remove(relPath) {
+    return storage.delete(storeDir(relPath))
+  }
+
+  // Leva as versões para `dir` (ex.: item da lixeira) e traz de volta com attach()
+  async function detach(relPath, dir) {
+    if (!(await storage.exists(storeDir(relPath)))) return false
+    await storage.move(storeDir(relPath), dir)
+    return true
+  }
+
+  async function attach(dir, relPath) {
+    if (!(await storage.exists(dir))) return
+    await storage.delete(storeDir(relPath))
+    await storage.move(dir, storeDir(relPath))
+  }
+
+  return { preserve, rollback, list, get, restore, move, remove, detach, attach }
+}
+
+module.exports = { createVersionStore, VERSIONS_DIR }
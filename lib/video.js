@@ -0,0 +1,240 @@
+const fs   = require("fs")
+const path = require("path")
+const { execFile } = require("child_process")
+const { promisify } = require("util")
+const { derivDir } = require("./derivatives")
+
+const execFileAsync = promisify(execFile)
+
+// Renditions HLS padrão (só gera as que não ultrapassam a altura do original)
+const DEFAULT_RENDITIONS = [
+  { name: "360p",  height: 360,  videoBitrate: 800,  audioBitrate: 96 },
+  { name: "720p",  height: 720,  videoBitrate: 2800, audioBitrate: 128 },
+  { name: "1080p", height: 1080, videoBitrate: 5000, audioBitrate: 160 },
+]
+
+// Pipeline de vídeo com ffmpeg local: probe → poster → renditions HLS + master playlist.
+// O ffmpeg trabalha numa pasta temporária local; o resultado vai para <video>.deriv/ no
+// armazenamento (lib/storage.js):
+//   video.json          — estado e metadados (status: queued | processing | ready | failed)
+//   poster.jpg
+//   hls/master.m3u8     — playlist adaptativa
+//   hls/<nome>/index.m3u8 + segmentos .ts
+// Roda em fila com concorrência limitada, fora da requisição HTTP. Em pasta privada, a assinatura
+// do vídeo vale para os derivados e /files a repassa às URIs das playlists (signPlaylist).
+// As funções recebem a chave do vídeo no armazenamento.
+function createVideoPipeline({ storage, ffmpeg = "ffmpeg", ffprobe = "ffprobe", timeoutMs, concurrency = 1, renditions = DEFAULT_RENDITIONS }) {
+  const queue  = []
+  const active = new Set()
+
+  const statusKey = (key) => derivDir(key) + "/video.json"
+
+  const readStatus = (key) => storage.readJson(statusKey(key))
+
+  async function writeStatus(key, data) {
+    if (!(await storage.exists(key))) throw new Error("Vídeo removido ou movido durante o processamento")
+    const status = { ...(await readStatus(key)), ...data, updatedAt: new Date().toISOString() }
+    await storage.writeJson(statusKey(key), status)
+    return status
+  }
+
+  async function probe(filepath) {
+    const { stdout } = await execFileAsync(ffprobe, [
+      "-v", "error",
+      "-print_format", "json",
+      "-show_format",
+      "-show_streams",
+      filepath,
+    ], { timeout: 60_000, maxBuffer: 10 * 1024 * 1024 })
+
+    const info  = JSON.parse(stdout)
+    const video = (info.streams || []).find(s => s.codec_type === "video")
+    const audio = (info.streams || []).find(s => s.codec_type === "audio")
+    if (!video) throw new Error("Arquivo sem stream de vídeo")
+
+    // Vídeos de celular gravados em pé vêm com rotação nos metadados
+    const rotation = Math.abs(Number(video.tags?.rotate || video.side_data_list?.find(d => d.rotation !== undefined)?.rotation || 0))
+    const rotated  = rotation === 90 || rotation === 270
+
+    return {
+      duration: Number(info.format?.duration) || null,
+      width:    rotated ? video.height : video.width,
+      height:   rotated ? video.width : video.height,
+      codec:    video.codec_name,
+      hasAudio: !!audio,
+      bitrate:  Number(info.format?.bit_rate) || null,
+    }
+  }
+
+  async function poster(filepath, workDir, meta) {
+    const out = path.join(workDir, "poster.jpg")
+    const at  = meta.duration ? Math.min(meta.duration * 0.1, 5) : 0
+    await execFileAsync(ffmpeg, [
+      "-y", "-v", "error",
+      "-ss", at.toFixed(2),
+      "-i", filepath,
+      "-frames:v", "1",
+      "-vf", "scale='min(1280,iw)':-2",
+      "-q:v", "3",
+      out,
+    ], { timeout: timeoutMs })
+    return out
+  }
+
+  async function rendition(filepath, hlsDir, r, meta) {
+    const dir = path.join(hlsDir, r.name)
+    fs.mkdirSync(dir, { recursive: true })
+    const args = [
+      "-y", "-v", "error",
+      "-i", filepath,
+      "-vf", `scale=-2:${r.height}`,
+      "-c:v", "libx264",
+      "-preset", "veryfast",
+      "-profile:v", "main",
+      "-pix_fmt", "yuv420p",
+      "-b:v", r.videoBitrate + "k",
+      "-maxrate", Math.round(r.videoBitrate * 1.07) + "k",
+      "-bufsize", r.videoBitrate * 2 + "k",
+      "-g", "48",
+      "-keyint_min", "48",
+      "-sc_threshold", "0",
+    ]
+    if (meta.hasAudio) args.push("-c:a", "aac", "-b:a", r.audioBitrate + "k", "-ac", "2")
+    else args.push("-an")
+    args.push(
+      "-f", "hls",
+      "-hls_time", "6",
+      "-hls_playlist_type", "vod",
+      "-hls_segment_filename", path.join(dir, "seg_%04d.ts"),
+      path.join(dir, "index.m3u8"),
+    )
+    await execFileAsync(ffmpeg, args, { timeout: timeoutMs })
+
+    const width = Math.round(meta.width * r.height / meta.height / 2) * 2
+    return {
+      name:      r.name,
+      width,
+      height:    r.height,
+      bandwidth: (r.videoBitrate + (meta.hasAudio ? r.audioBitrate : 0)) * 1000,
+      playlist:  r.name + "/index.m3u8",
+    }
+  }
+
+  function writeMaster(hlsDir, outputs) {
+    const lines = ["#EXTM3U", "#EXT-X-VERSION:3"]
+    for (const o of outputs) {
+      lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${o.bandwidth},RESOLUTION=${o.width}x${o.height}`)
+      lines.push(o.playlist)
+    }
+    fs.writeFileSync(path.join(hlsDir, "master.m3u8"), lines.join("\n") + "\n")
+  }
+
+  // Envia os arquivos de `dir` (local) para `prefix` no armazenamento
+  async function upload(dir, prefix) {
+    for (const e of fs.readdirSync(dir, { withFileTypes: true })) {
+      const local = path.join(dir, e.name)
+      if (e.isDirectory()) await upload(local, prefix + "/" + e.name)
+      else await storage.put(prefix + "/" + e.name, local)
+    }
+  }
+
+  async function processVideo(key) {
+    const started = Date.now()
+    await writeStatus(key, { status: "processing", error: null })
+
+    const workDir = storage.scratchPath("")
+    fs.mkdirSync(workDir, { recursive: true })
+    try {
+      const outputs = await storage.withLocalFile(key, async (filepath) => {
+        const meta = await probe(filepath)
+        await writeStatus(key, { ...meta })
+
+        await storage.put(derivDir(key) + "/poster.jpg", await poster(filepath, workDir, meta))
+        await writeStatus(key, { poster: "poster.jpg" })
+
+        // Nunca faz upscale; se o original for menor que todas, gera só a menor no tamanho original
+        let targets = renditions.filter(r => r.height <= meta.height)
+        if (!targets.length) targets = [{ ...renditions[0], height: meta.height - (meta.height % 2) }]
+
+        const hlsDir = path.join(workDir, "hls")
+        const result = []
+        for (const r of targets) result.push(await rendition(filepath, hlsDir, r, meta))
+        writeMaster(hlsDir, result)
+        return result
+      })
+
+      const hlsKey = derivDir(key) + "/hls"
+      await storage.delete(hlsKey)
+      await upload(path.join(workDir, "hls"), hlsKey)
+
+      console.log("[video] OK:", key, outputs.map(o => o.name).join(","), ((Date.now() - started) / 1000).toFixed(0) + "s")
+      return writeStatus(key, {
+        status:     "ready",
+        playlist:   "hls/master.m3u8",
+        renditions: outputs.map(({ name, width, height, bandwidth }) => ({ name, width, height, bandwidth })),
+      })
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true })
+    }
+  }
+
+  function next() {
+    while (active.size < concurrency && queue.length) {
+      const key = queue.shift()
+      active.add(key)
+      processVideo(key)
+        .catch((err) => {
+          console.error("[video] erro:", key, err.message)
+          // O original pode ter sido apagado durante o processamento (writeStatus recusa)
+          return writeStatus(key, { status: "failed", error: err.message }).catch(() => {})
+        })
+        .finally(() => {
+          active.delete(key)
+          next()
+        })
+    }
+  }
+
+  // Coloca o vídeo na fila e retorna o estado atual
+  async function enqueue(key) {
+    if (!queue.includes(key) && !active.has(key)) {
+      queue.push(key)
+      try {
+        await writeStatus(key, { status: "queued", error: null })
+      } catch (err) {
+        // Sem tirar da fila, enqueue/status seguintes achariam que o vídeo já está na fila
+        const i = queue.indexOf(key)
+        if (i !== -1) queue.splice(i, 1)
+        throw err
+      }
+      setImmediate(next)
+    }
+    return readStatus(key)
+  }
+
+  // Estado atual; processamentos interrompidos por restart voltam para a fila
+  async function status(key) {
+    const current = await readStatus(key)
+    if (!current) return null
+    const pending = current.status === "queued" || current.status === "processing"
+    if (pending && !queue.includes(key) && !active.has(key)) return enqueue(key)
+    return current
+  }
+
+  return { enqueue, status, probe }
+}
+
+// Playlist HLS com `query` ("expires=...&sig=...") acrescentada a cada URI (segmentos, playlists
+// das renditions e atributos URI="..."). Os caminhos são relativos, então o player não repassaria
+// a assinatura da playlist sozinho.
+function signPlaylist(text, query) {
+  const withQuery = (uri) => uri + (uri.includes("?") ? "&" : "?") + query
+  return text.split("\n").map((line) => {
+    const trimmed = line.trim()
+    if (!trimmed) return line
+    if (!trimmed.startsWith("#")) return withQuery(trimmed)
+    return line.replace(/URI="([^"]*)"/g, (_, uri) => `URI="${withQuery(uri)}"`)
+  }).join("\n")
+}
+
+module.exports = { createVideoPipeline, signPlaylist, DEFAULT_RENDITIONS }
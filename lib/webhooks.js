@@ -0,0 +1,276 @@
+const fs       = require("fs")
+const path     = require("path")
+const crypto   = require("crypto")
+const Database = require("better-sqlite3")
+
+// Eventos que podem ser assinados
+const EVENTS = ["upload", "upload-raw", "upload-manager", "extract-zip", "move", "copy", "mkdir", "delete"]
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS webhooks (
+    id         TEXT PRIMARY KEY,
+    url        TEXT NOT NULL,
+    secret     TEXT NOT NULL,
+    events     TEXT NOT NULL,         -- JSON: ["*"] ou lista de EVENTS
+    folders    TEXT NOT NULL,         -- JSON: ["*"] ou lista de pastas
+    disabled   INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS deliveries (
+    id              TEXT PRIMARY KEY,
+    webhook_id      TEXT NOT NULL,
+    event           TEXT NOT NULL,
+    payload         TEXT NOT NULL,    -- corpo JSON exatamente como enviado (é o que foi assinado)
+    state           TEXT NOT NULL,    -- pending | delivered | failed
+    attempts        INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TEXT,
+    last_status     INTEGER,
+    last_error      TEXT,
+    created_at      TEXT NOT NULL,
+    finished_at     TEXT
+  );
+  CREATE INDEX IF NOT EXISTS deliveries_due     ON deliveries (state, next_attempt_at);
+  CREATE INDEX IF NOT EXISTS deliveries_webhook ON deliveries (webhook_id, created_at);
+`
+
+const newId = () => crypto.randomBytes(12).toString("hex")
+
+// Assinatura enviada em X-Cpcon-Signature: "sha256=" + HMAC-SHA256(secret, corpo)
+function signPayload(secret, body) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(body).digest("hex")
+}
+
+// Espera antes da tentativa n+1: 30s, 1min, 2min... até 1h
+const backoffMs = (attempts) => Math.min(30_000 * 2 ** (attempts - 1), 3600 * 1000)
+
+function toWebhook(row) {
+  if (!row) return null
+  return {
+    id:        row.id,
+    url:       row.url,
+    events:    JSON.parse(row.events),
+    folders:   JSON.parse(row.folders),
+    disabled:  !!row.disabled,
+    createdAt: row.created_at,
+  }
+}
+
+function toDelivery(row) {
+  return {
+    id:            row.id,
+    webhookId:     row.webhook_id,
+    event:         row.event,
+    state:         row.state,
+    attempts:      row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastStatus:    row.last_status,
+    lastError:     row.last_error,
+    createdAt:     row.created_at,
+    finishedAt:    row.finished_at,
+    payload:       JSON.parse(row.payload),
+  }
+}
+
+// Webhooks de eventos de arquivos, persistidos em SQLite junto com as entregas.
+// emit() grava uma entrega por webhook interessado e o envio acontece em segundo plano;
+// falhas (rede, timeout ou status != 2xx) são repetidas com backoff até maxAttempts.
+// Entregas pendentes sobrevivem a reinícios do servidor.
+function createWebhooks({ file, allowedFolders, maxAttempts = 8, timeoutMs = 10_000, concurrency = 4, retentionDays = 7 }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  const db = new Database(file)
+  db.pragma("journal_mode = WAL")
+  db.exec(SCHEMA)
+
+  const listStmt     = db.prepare("SELECT * FROM webhooks ORDER BY created_at")
+  const getStmt      = db.prepare("SELECT * FROM webhooks WHERE id = ?")
+  const insertStmt   = db.prepare("INSERT INTO webhooks (id, url, secret, events, folders, disabled, created_at) VALUES (@id, @url, @secret, @events, @folders, @disabled, @created_at)")
+  const updateStmt   = db.prepare("UPDATE webhooks SET url = @url, secret = @secret, events = @events, folders = @folders, disabled = @disabled WHERE id = @id")
+  const deleteStmt   = db.prepare("DELETE FROM webhooks WHERE id = ?")
+  const enqueueStmt  = db.prepare("INSERT INTO deliveries (id, webhook_id, event, payload, state, next_attempt_at, created_at) VALUES (?, ?, ?, ?, 'pending', ?, ?)")
+  const dueStmt      = db.prepare("SELECT * FROM deliveries WHERE state = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at LIMIT ?")
+  const deliveryStmt = db.prepare("SELECT * FROM deliveries WHERE id = ?")
+  const attemptStmt  = db.prepare("UPDATE deliveries SET state = @state, attempts = @attempts, next_attempt_at = @next_attempt_at, last_status = @last_status, last_error = @last_error, finished_at = @finished_at WHERE id = @id")
+  const retryStmt    = db.prepare("UPDATE deliveries SET state = 'pending', next_attempt_at = ?, finished_at = NULL WHERE id = ?")
+  const purgeStmt    = db.prepare("DELETE FROM deliveries WHERE state IN ('delivered', 'failed') AND finished_at < ?")
+  const dropStmt     = db.prepare("DELETE FROM deliveries WHERE webhook_id = ?")
+
+  const inFlight = new Set()
+
+  function normalize(input, current) {
+    const url = input.url ?? current?.url
+    let parsed
+    try { parsed = new URL(url) } catch { parsed = null }
+    if (!parsed || !["http:", "https:"].includes(parsed.protocol))
+      throw Object.assign(new Error("url inválida (use http:// ou https://)"), { status: 400 })
+
+    const events = input.events ?? (current ? JSON.parse(current.events) : ["*"])
+    if (!Array.isArray(events) || !events.length || events.some(e => e !== "*" && !EVENTS.includes(e)))
+      throw Object.assign(new Error("events inválido. Use: " + EVENTS.join(", ") + " ou *"), { status: 400 })
+
+    const folders = input.folders ?? (current ? JSON.parse(current.folders) : ["*"])
+    if (!Array.isArray(folders) || !folders.length || folders.some(f => f !== "*" && !allowedFolders.includes(f)))
+      throw Object.assign(new Error("folders inválido. Use: " + allowedFolders.join(", ") + " ou *"), { status: 400 })
+
+    const secret = input.secret ?? current?.secret ?? crypto.randomBytes(32).toString("base64url")
+    if (typeof secret !== "string" || secret.length < 16)
+      throw Object.assign(new Error("secret precisa ter ao menos 16 caracteres"), { status: 400 })
+
+    return {
+      url:      parsed.toString(),
+      secret,
+      events:   JSON.stringify(events),
+      folders:  JSON.stringify(folders),
+      disabled: (input.disabled ?? !!current?.disabled) ? 1 : 0,
+    }
+  }
+
+  // O segredo só é devolvido na criação (e quando é trocado via update)
+  function create(input = {}) {
+    const row = { id: newId(), ...normalize(input), created_at: new Date().toISOString() }
+    insertStmt.run(row)
+    return { ...toWebhook(row), secret: row.secret }
+  }
+
+  function update(id, input = {}) {
+    const current = getStmt.get(String(id))
+    if (!current) return null
+    const row = { ...current, ...normalize(input, current) }
+    updateStmt.run(row)
+    return { ...toWebhook(row), ...(input.secret ? { secret: row.secret } : {}) }
+  }
+
+  function remove(id) {
+    const removed = deleteStmt.run(String(id)).changes > 0
+    if (removed) dropStmt.run(String(id))
+    return removed
+  }
+
+  const list = () => listStmt.all().map(toWebhook)
+  const get  = (id) => toWebhook(getStmt.get(String(id)))
+
+  const wants = (hook, event, folders) => {
+    const events  = JSON.parse(hook.events)
+    const filter  = JSON.parse(hook.folders)
+    return !hook.disabled
+      && (events.includes("*") || events.includes(event))
+      && (filter.includes("*") || folders.some(f => filter.includes(f)))
+  }
+
+  // Registra o evento para cada webhook interessado. `folders` são as pastas envolvidas
+  // (duas no caso de move); `data` vai no payload como veio (mesmo formato das respostas da API).
+  function emit(event, folders, data) {
+    const now = new Date().toISOString()
+    let queued = 0
+    for (const hook of listStmt.all()) {
+      if (!wants(hook, event, folders)) continue
+      const id   = newId()
+      const body = JSON.stringify({ id, event, timestamp: now, data })
+      enqueueStmt.run(id, hook.id, event, body, now, now)
+      queued++
+    }
+    if (queued) setImmediate(pump)
+    return queued
+  }
+
+  async function deliver(row) {
+    const hook     = getStmt.get(row.webhook_id)
+    const attempts = row.attempts + 1
+    const now      = new Date().toISOString()
+    let status = null
+    let error  = null
+
+    if (!hook) {
+      error = "webhook removido"
+    } else {
+      try {
+        const res = await fetch(hook.url, {
+          method:  "POST",
+          headers: {
+            "Content-Type":      "application/json",
+            "User-Agent":        "cpcon-files-webhooks",
+            "X-Cpcon-Event":     row.event,
+            "X-Cpcon-Delivery":  row.id,
+            "X-Cpcon-Signature": signPayload(hook.secret, row.payload),
+          },
+          body:     row.payload,
+          redirect: "manual",
+          signal:   AbortSignal.timeout(timeoutMs),
+        })
+        status = res.status
+        await res.arrayBuffer().catch(() => {})
+        if (status < 200 || status >= 300) error = "HTTP " + status
+      } catch (err) {
+        error = err.name === "TimeoutError" ? `timeout (${timeoutMs}ms)` : err.cause?.message || err.message
+      }
+    }
+
+    const done  = !error
+    const retry = !done && hook && attempts < maxAttempts
+    attemptStmt.run({
+      id:              row.id,
+      state:           done ? "delivered" : retry ? "pending" : "failed",
+      attempts,
+      next_attempt_at: retry ? new Date(Date.now() + backoffMs(attempts)).toISOString() : null,
+      last_status:     status,
+      last_error:      error,
+      finished_at:     retry ? null : now,
+    })
+    if (done) console.log("[webhooks] OK:", row.event, "→", hook.url, "delivery=" + row.id)
+    else console.warn("[webhooks] falhou:", row.event, "delivery=" + row.id, "tentativa", attempts, error, retry ? "(vai repetir)" : "(desistindo)")
+  }
+
+  function pump() {
+    const free = concurrency - inFlight.size
+    if (free <= 0) return
+    for (const row of dueStmt.all(new Date().toISOString(), free + inFlight.size)) {
+      if (inFlight.has(row.id)) continue
+      if (inFlight.size >= concurrency) break
+      inFlight.add(row.id)
+      deliver(row)
+        .catch((err) => console.error("[webhooks] erro:", err.message))
+        .finally(() => {
+          inFlight.delete(row.id)
+          setImmediate(pump)
+        })
+    }
+  }
+
+  // Entregas mais recentes, opcionalmente de um webhook e/ou estado
+  function deliveries({ webhookId, state, limit = 50 } = {}) {
+    const where  = []
+    const params = []
+    if (webhookId) { where.push("webhook_id = ?"); params.push(String(webhookId)) }
+    if (state)     { where.push("state = ?"); params.push(String(state)) }
+    const sql = "SELECT * FROM deliveries" + (where.length ? " WHERE " + where.join(" AND ") : "") +
+      " ORDER BY created_at DESC LIMIT ?"
+    return db.prepare(sql).all(...params, limit).map(toDelivery)
+  }
+
+  // Reenvia uma entrega (falha ou já entregue) na próxima rodada
+  function redeliver(id) {
+    const row = deliveryStmt.get(String(id))
+    if (!row) return null
+    retryStmt.run(new Date().toISOString(), row.id)
+    setImmediate(pump)
+    return toDelivery(deliveryStmt.get(row.id))
+  }
+
+  function purge() {
+    const cutoff  = new Date(Date.now() - retentionDays * 86400 * 1000).toISOString()
+    const removed = purgeStmt.run(cutoff).changes
+    if (removed) console.log("[webhooks] limpeza:", removed, "entregas antigas removidas")
+    return removed
+  }
+
+  // Começa a enviar o que ficou pendente e verifica novas tentativas periodicamente
+  function start() {
+    purge()
+    setInterval(purge, 3600 * 1000).unref()
+    setInterval(pump, 5000).unref()
+    setImmediate(pump)
+  }
+
+  return { create, update, remove, list, get, emit, deliveries, redeliver, start }
+}
+
+module.exports = { createWebhooks, signPayload, EVENTS }
@@ -0,0 +1,172 @@
+const fs    = require("fs")
+const path  = require("path")
+const yauzl = require("yauzl")
+const { Transform, pipeline } = require("stream")
+const { promisify } = require("util")
+const { isDerivDir } = require("./derivatives")
+
+const openZip       = promisify(yauzl.open)
+const pipelineAsync = promisify(pipeline)
+
+const CONFLICT_POLICIES = ["skip", "overwrite", "rename"]
+
+const RATIO_MIN_BYTES = 1024 * 1024 // razão de compressão só é checada a partir de 1MB descompactado
+
+// Motivo para recusar o nome de uma entrada (ou null se for seguro)
+function unsafeName(name) {
+  if (name.includes("\0")) return "nome com caractere nulo"
+  if (/^[a-zA-Z]:/.test(name) || name.startsWith("/")) return "caminho absoluto"
+  if (name.split("/").includes("..")) return "path traversal (..)"
+  return null
+}
+
+function isSymlink(entry) {
+  // Bits de modo Unix ficam nos 16 bits altos dos atributos externos (zip criado em Unix)
+  const mode = (entry.externalFileAttributes >>> 16) & 0o170000
+  return mode === 0o120000
+}
+
+// "foto.jpg" → "foto (1).jpg", "foto (2).jpg"...
+async function uniqueKey(storage, target) {
+  const ext  = path.extname(target)
+  const base = target.slice(0, target.length - ext.length)
+  for (let i = 1; ; i++) {
+    const candidate = `${base} (${i})${ext}`
+    if (!(await storage.exists(candidate))) return candidate
+  }
+}
+
+// Confere os bytes realmente descompactados contra o limite total (o yauzl já confere
+// que cada entrada bate com o tamanho declarado)
+function byteLimit(state, max) {
+  return new Transform({
+    transform(chunk, _enc, cb) {
+      state.bytes += chunk.length
+      if (state.bytes > max) return cb(new Error("limite total descompactado excedido"))
+      cb(null, chunk)
+    },
+  })
+}
+
+// Extrai um .zip (arquivo local `zipPath`) na pasta `dir` do armazenamento, em streaming (uma
+// entrada por vez, via arquivo temporário local), mantendo a estrutura interna e recusando
+// entradas perigosas.
+// Opções:
+//   storage    — armazenamento de destino (lib/storage.js)
+//   limits     — { maxEntries, maxTotalBytes, maxRatio }
+//   conflict   — "skip" | "overwrite" | "rename" quando o arquivo já existe
+//   accept(entryName, size) — motivo para recusar a entrada (ex.: extensão fora da policy) ou null
+//   inspect(tmpPath, targetKey) — chamado com o conteúdo no arquivo temporário, antes de ficar
+//              visível; retorna motivo para recusar ou null (se recusar, tmpPath pode ter sido movido)
+//   beforeOverwrite(targetKey) — chamado logo antes de substituir um arquivo existente
+//   onFile(targetKey, entryName) — chamado após gravar cada arquivo; se lançar, a entrada vai para `failed`
+//   onProgress(fração)
+// Retorna { extracted, skipped, rejected, failed }, com { entry, reason } nas três últimas listas.
+async function extractZip(zipPath, dir, { storage, limits, conflict = "overwrite", accept, inspect, beforeOverwrite, onFile, onProgress } = {}) {
+  if (!CONFLICT_POLICIES.includes(conflict))
+    throw Object.assign(new Error("conflict inválido. Use: " + CONFLICT_POLICIES.join(", ")), { status: 400 })
+
+  let zip
+  try {
+    zip = await openZip(zipPath, { lazyEntries: true, autoClose: false, decodeStrings: false, validateEntrySizes: true })
+  } catch (err) {
+    throw Object.assign(new Error("Arquivo zip inválido ou corrompido"), { status: 400 })
+  }
+
+  const extracted = []
+  const skipped   = []
+  const rejected  = []
+  const failed    = []
+  const state     = { bytes: 0 }
+  let declared    = 0
+
+  try {
+    if (zip.entryCount > limits.maxEntries)
+      throw Object.assign(new Error(`Zip com entradas demais (${zip.entryCount}). Máximo: ${limits.maxEntries}`), { status: 413 })
+
+    const openReadStream = promisify(zip.openReadStream.bind(zip))
+    const nextEntry = () => new Promise((resolve, reject) => {
+      const cleanup = () => zip.removeListener("entry", onEntry).removeListener("end", onEnd).removeListener("error", onError)
+      const onEntry = (e) => { cleanup(); resolve(e) }
+      const onEnd   = () => { cleanup(); resolve(null) }
+      const onError = (err) => { cleanup(); reject(err) }
+      zip.once("entry", onEntry).once("end", onEnd).once("error", onError)
+      zip.readEntry()
+    })
+
+    let index = 0
+    for (let entry = await nextEntry(); entry; entry = await nextEntry()) {
+      if (onProgress) onProgress(index++ / zip.entryCount)
+
+      const name = yauzl.getFileNameLowLevel(entry.generalPurposeBitFlag, entry.fileName, entry.extraFields, false)
+
+      const unsafe = unsafeName(name)
+      if (unsafe) { rejected.push({ entry: name, reason: unsafe }); continue }
+      if (name.endsWith("/")) continue // diretórios são criados conforme os arquivos
+
+      const parts = name.split("/").filter(p => p && p !== ".")
+      if (parts[0] === "__MACOSX") { skipped.push({ entry: name, reason: "metadados do macOS" }); continue }
+      if (parts.some(p => p.startsWith("."))) { skipped.push({ entry: name, reason: "arquivo oculto" }); continue }
+      if (parts.some(isDerivDir)) { rejected.push({ entry: name, reason: "nome reservado aos derivados (.deriv)" }); continue }
+      if (isSymlink(entry)) { rejected.push({ entry: name, reason: "link simbólico" }); continue }
+      if (entry.generalPurposeBitFlag & 0x1) { rejected.push({ entry: name, reason: "entrada criptografada" }); continue }
+      if (entry.uncompressedSize === 0) { skipped.push({ entry: name, reason: "arquivo vazio" }); continue }
+
+      const refused = accept && accept(name, entry.uncompressedSize)
+      if (refused) { rejected.push({ entry: name, reason: refused }); continue }
+
+      const ratio = entry.compressedSize ? entry.uncompressedSize / entry.compressedSize : Infinity
+      if (entry.uncompressedSize >= RATIO_MIN_BYTES && ratio > limits.maxRatio) {
+        rejected.push({ entry: name, reason: `razão de compressão suspeita (${Math.round(ratio)}:1)` })
+        continue
+      }
+      if (declared + entry.uncompressedSize > limits.maxTotalBytes) {
+        rejected.push({ entry: name, reason: "limite total descompactado excedido" })
+        continue
+      }
+      declared += entry.uncompressedSize
+
+      // Destino: mesma pasta do zip + estrutura interna do zip (sempre dentro de `dir`:
+      // unsafeName já recusou "..", caminhos absolutos e ocultos)
+      let target = dir + "/" + parts.join("/")
+
+      const existing = await storage.stat(target)
+      if (existing?.isDir) { rejected.push({ entry: name, reason: "já existe uma pasta com esse nome" }); continue }
+      if (existing) {
+        if (conflict === "skip") { skipped.push({ entry: name, reason: "já existe" }); continue }
+        if (conflict === "rename") target = await uniqueKey(storage, target)
+      }
+
+      const tmp = storage.scratchPath(target)
+      try {
+        const stream = await openReadStream(entry)
+        await pipelineAsync(stream, byteLimit(state, limits.maxTotalBytes), fs.createWriteStream(tmp))
+        const refused = inspect && await inspect(tmp, target)
+        if (refused) {
+          try { fs.unlinkSync(tmp) } catch {}
+          rejected.push({ entry: name, reason: refused })
+          continue
+        }
+        if (beforeOverwrite && await storage.exists(target)) await beforeOverwrite(target)
+        await storage.put(target, tmp)
+      } catch (err) {
+        try { fs.unlinkSync(tmp) } catch {}
+        failed.push({ entry: name, reason: err.message })
+        continue
+      }
+
+      try {
+        if (onFile) await onFile(target, name)
+        extracted.push(target.slice(dir.length + 1))
+      } catch (err) {
+        failed.push({ entry: name, reason: err.message })
+      }
+    }
+  } finally {
+    zip.close()
+  }
+
+  return { extracted, skipped, rejected, failed }
+}
+
+module.exports = { extractZip, CONFLICT_POLICIES }
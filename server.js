@@ -2,22 +2,60 @@ const express    = require("express")
 const multer     = require("multer")
 const path       = require("path")
 const fs         = require("fs")
-const AdmZip     = require("adm-zip")
+const crypto     = require("crypto")
 const { execFile } = require("child_process")
 const { promisify } = require("util")
+const { once } = require("events")
 const { v4: uuidv4 } = require("uuid")
 const sharp      = require("sharp")
+const { createKeyStore } = require("./lib/keys")
+const { createSigner }   = require("./lib/signing")
+const { createTusRouter } = require("./lib/tus")
+const { createVideoPipeline, signPlaylist, DEFAULT_RENDITIONS } = require("./lib/video")
+const { createPdfPreviews, PREVIEW_FORMATS } = require("./lib/pdf")
+const { renderQrCode, QR_FORMATS, QR_LEVELS } = require("./lib/qrcode")
+const { assembleScans } = require("./lib/scans")
+const { DERIV_SUFFIX, derivDir, isDerivDir, derivParent, removeDerivatives, moveDerivatives } = require("./lib/derivatives")
+const { createVariantHandler, EXT_FORMATS } = require("./lib/variants")
+const { createMetadataIndex } = require("./lib/metadata")
+const { createJobQueue } = require("./lib/jobs")
+const { extractZip, CONFLICT_POLICIES } = require("./lib/zip")
+const { collect, sendArchive } = require("./lib/archive")
+const { createTrash, RESTORE_CONFLICTS } = require("./lib/trash")
+const { createVersionStore, VERSIONS_DIR } = require("./lib/versions")
+const { createContentHashes, strongEtag } = require("./lib/contenthash")
+const { createWebhooks } = require("./lib/webhooks")
+const { createPolicyStore } = require("./lib/policy")
+const { sniffFile, contentMismatch, servingOptions } = require("./lib/sniff")
+const { createClamdScanner } = require("./lib/scanner")
+const { createQuarantine } = require("./lib/quarantine")
+const { createMetrics } = require("./lib/metrics")
+const { createStorage, createLocalDriver } = require("./lib/storage")
+const { sendStored } = require("./lib/serve")
+const { createAuditLog, csvLine, CSV_FIELDS } = require("./lib/audit")
 
 const execFileAsync = promisify(execFile)
 const GS_TIMEOUT_MS = 300_000 // 5min máximo para ghostscript (PDFs grandes)
 
-// Sanitiza um path relativo de subfolder contra path traversal
+// Sanitiza um path relativo de subfolder contra path traversal. Pastas *.deriv são dos derivados
+// (listagens e sync as escondem), então uma subpasta com esse nome é recusada (400)
 function safeSub(p) {
   if (!p) return null
-  const parts = String(p).split("/").map(s => path.basename(s)).filter(s => s && s !== ".")
+  const parts = String(p).split("/").map(s => path.basename(s)).filter(s => s && s !== "." && s !== "..")
+  if (parts.some(isDerivDir))
+    throw Object.assign(new Error("Subpasta inválida: nomes terminados em " + DERIV_SUFFIX + " são reservados"), { status: 400 })
   return parts.length ? parts.join("/") : null
 }
 
+// Segmentos de um caminho "pasta/sub/arquivo" vindo do cliente, ou null se algum segmento
+// for "..", "." ou oculto (DATA_DIR, .trash, etc. nunca são alcançáveis pela API) ou terminar
+// em .deriv (pastas de derivados só mudam junto com o original)
+function safeParts(p) {
+  const parts = String(p || "").split("/").filter(Boolean).map(s => path.basename(s))
+  if (parts.some(s => s.startsWith(".") || isDerivDir(s))) return null
+  return parts
+}
+
 function slugify(str) {
   return str
     .toLowerCase()
@@ -34,118 +72,597 @@ const PORT       = process.env.PORT || 80
 const API_KEY    = process.env.API_KEY || "change-me"
 const UPLOAD_DIR = process.env.UPLOAD_DIR || "/uploads"
 const BASE_URL   = process.env.BASE_URL || ("http://localhost:" + PORT)
+const DATA_DIR   = process.env.DATA_DIR || path.join(UPLOAD_DIR, ".cpcon") // estado interno (oculto em /files e /list)
+const KEYS_FILE  = process.env.KEYS_FILE || path.join(DATA_DIR, "keys.json")
+const INDEX_FILE = process.env.INDEX_FILE || path.join(DATA_DIR, "metadata.db")
+const JOBS_FILE  = process.env.JOBS_FILE || path.join(DATA_DIR, "jobs.db")
+const WEBHOOKS_FILE = process.env.WEBHOOKS_FILE || path.join(DATA_DIR, "webhooks.db")
+const POLICY_FILE   = process.env.POLICY_FILE || path.join(__dirname, "policy.json")
+
+// Onde ficam os arquivos das pastas: "local" (UPLOAD_DIR) ou "s3" (bucket S3-compatível: AWS,
+// MinIO, R2...). O estado interno (DATA_DIR) continua sempre em disco local; SCRATCH_DIR guarda
+// as cópias temporárias usadas por sharp/ffmpeg/ghostscript quando o arquivo está no bucket.
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || "local"
+const SCRATCH_DIR    = path.join(DATA_DIR, "scratch")
+const S3_OPTIONS     = {
+  endpoint:        process.env.S3_ENDPOINT,
+  region:          process.env.S3_REGION || "us-east-1",
+  bucket:          process.env.S3_BUCKET,
+  accessKeyId:     process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+  prefix:          process.env.S3_PREFIX || "",
+  forcePathStyle:  process.env.S3_FORCE_PATH_STYLE !== "0", // 0 = virtual-hosted (bucket.endpoint)
+}
 
-const IMAGE_MAX_BYTES = 5  * 1024 * 1024 // 5MB  — limite final de imagens
-const PDF_MAX_BYTES   = 20 * 1024 * 1024 // 20MB — limite final de PDFs
-const OTHER_MAX_BYTES = 20 * 1024 * 1024 // 20MB — outros tipos
-const IMAGE_EXTS      = [".jpg", ".jpeg", ".png", ".webp", ".avif"]
-const ALLOWED_FOLDERS = ["imagens", "material-apoio", "qrcodes", "questoes", "redacoes", "simulados", "videos"]
+const storage = createStorage({ driver: STORAGE_DRIVER, root: UPLOAD_DIR, s3: S3_OPTIONS, scratchDir: SCRATCH_DIR })
+const STORAGE_LABEL = storage.name === "s3" ? "s3://" + S3_OPTIONS.bucket + "/" + S3_OPTIONS.prefix : UPLOAD_DIR
 
-// Garante diretórios no boot
-try {
-  fs.mkdirSync(UPLOAD_DIR, { recursive: true })
-  ALLOWED_FOLDERS.forEach((f) => fs.mkdirSync(path.join(UPLOAD_DIR, f), { recursive: true }))
-  console.log("Diretórios prontos em:", UPLOAD_DIR)
-} catch (err) {
-  console.error("ERRO ao criar diretórios:", err.message)
-}
+const IMAGE_EXTS = [".jpg", ".jpeg", ".png", ".webp", ".avif"]
+const VIDEO_EXTS = [".mp4", ".mov", ".m4v", ".mkv", ".webm"]
 
-// Auth
-function auth(req, res, next) {
-  if (req.headers["x-api-key"] !== API_KEY) return res.status(401).json({ error: "Unauthorized" })
-  next()
+// Quem decide se uma pasta é privada é a policy ("private" na pasta ou em defaults).
+// PRIVATE_FOLDERS (env) só vale para pastas em que a policy não diz nada
+const PRIVATE_FOLDERS = (process.env.PRIVATE_FOLDERS || "").split(",").map(s => s.trim()).filter(Boolean)
+
+// Avisa (no boot e a cada recarga da policy) quando PRIVATE_FOLDERS e a policy discordam
+function warnPrivateDrift(folders) {
+  for (const [name, rule] of Object.entries(folders)) {
+    const inEnv = PRIVATE_FOLDERS.includes(name)
+    if (rule.private === false && inEnv)
+      console.warn("[policy] " + name + " está em PRIVATE_FOLDERS mas a policy diz \"private\": false; vale a policy (pasta pública)")
+    if (rule.private === true && !inEnv && PRIVATE_FOLDERS.length)
+      console.warn("[policy] " + name + " é privada pela policy mas não está em PRIVATE_FOLDERS; vale a policy (pasta privada)")
+  }
 }
 
-// Multer — aceita até 50MB antes de comprimir
-const storage = multer.diskStorage({
-  destination: (req, _, cb) => {
-    const folder = req.query.folder
-    if (!folder || !ALLOWED_FOLDERS.includes(folder))
-      return cb(new Error("Pasta inválida. Use: " + ALLOWED_FOLDERS.join(", ")))
-    const subfolder = safeSub(req.query.subfolder)
-    const dest = subfolder
-      ? path.join(UPLOAD_DIR, folder, subfolder)
-      : path.join(UPLOAD_DIR, folder)
-    try { fs.mkdirSync(dest, { recursive: true }) } catch (e) { return cb(e) }
-    cb(null, dest)
+// Pastas e regras por pasta (extensões/MIME, tamanho máximo, compressão, privacidade, nomes)
+// vêm de POLICY_FILE, validado no boot e recarregado quando muda. ALLOWED_FOLDERS acompanha a
+// policy (lista atualizada no lugar); pastas novas são criadas na recarga.
+const policy = createPolicyStore({
+  file: POLICY_FILE,
+  onChange: (next) => {
+    warnPrivateDrift(next.folders)
+    for (const f of Object.keys(next.folders)) {
+      storage.mkdir(f).catch((err) => console.error("ERRO ao criar pasta", f + ":", err.message))
+    }
   },
+})
+const ALLOWED_FOLDERS = policy.folders
+
+// Pastas privadas só são servidas em /files com URL assinada (?expires=&sig=).
+const SIGNING_SECRET     = process.env.SIGNING_SECRET || API_KEY
+const SIGNED_URL_TTL     = Number(process.env.SIGNED_URL_TTL) || 3600       // 1h
+const SIGNED_URL_MAX_TTL = Number(process.env.SIGNED_URL_MAX_TTL) || 604800 // 7 dias
+
+// Inspeção de uploads: o multer grava em INCOMING_DIR e o arquivo só vai para a pasta depois de
+// conferido o tipo real (magic bytes) e, com CLAMD_ADDRESS, passar pelo antivírus.
+// SNIFF_MISMATCH: quarantine (guarda para análise) | reject (apaga). Vírus vão sempre para a quarentena.
+const INCOMING_DIR    = path.join(DATA_DIR, "incoming")
+const QUARANTINE_DIR  = process.env.QUARANTINE_DIR || path.join(DATA_DIR, "quarantine")
+const SNIFF_MISMATCH  = process.env.SNIFF_MISMATCH || "quarantine"
+const CLAMD_ADDRESS   = process.env.CLAMD_ADDRESS || null // "/run/clamav/clamd.ctl" ou "tcp://clamav:3310"
+const SCAN_TIMEOUT_MS = Number(process.env.SCAN_TIMEOUT_MS) || 60_000
+const SCAN_FAIL_OPEN  = process.env.SCAN_FAIL_OPEN === "1" // antivírus fora do ar: aceita (1) ou recusa com 503
+
+// Uploads retomáveis (tus): sessões abandonadas expiram após TUS_EXPIRE_HOURS
+const TUS_DIR          = path.join(DATA_DIR, "tus")
+const TUS_EXPIRE_HOURS = Number(process.env.TUS_EXPIRE_HOURS) || 24
+
+// Vídeos em "videos" passam pelo ffmpeg (poster + HLS) em segundo plano
+const VIDEO_FOLDER      = "videos"
+const FFMPEG_TIMEOUT_MS = Number(process.env.FFMPEG_TIMEOUT_MS) || 2 * 3600 * 1000 // 2h por etapa
+const VIDEO_RENDITIONS  = (process.env.VIDEO_RENDITIONS || "360,720,1080").split(",").map(Number)
+
+// PDFs das pastas em PDF_PREVIEW_FOLDERS ganham miniaturas, número de páginas e texto extraído
+// (ghostscript) numa fila, logo depois do envio; nas demais, GET /pdf-info/* põe na fila sob demanda
+const PDF_PREVIEW_FOLDERS = (process.env.PDF_PREVIEW_FOLDERS ?? "questoes,simulados").split(",").map(s => s.trim()).filter(Boolean)
+const PDF_PREVIEW_PAGES   = Number(process.env.PDF_PREVIEW_PAGES) || 1   // miniaturas das N primeiras páginas
+const PDF_PREVIEW_WIDTH   = Number(process.env.PDF_PREVIEW_WIDTH) || 480
+const PDF_PREVIEW_FORMAT  = process.env.PDF_PREVIEW_FORMAT || "webp"
+
+// QR codes gerados no servidor (POST /qrcodes) vão para "qrcodes"; o logo central vem de "imagens"
+const QR_FOLDER      = "qrcodes"
+const QR_LOGO_FOLDER = "imagens"
+const QR_MAX_SIZE    = Number(process.env.QR_MAX_SIZE) || 4096 // lado máximo em pixels
+const QR_MAX_BATCH   = Number(process.env.QR_MAX_BATCH) || 100 // alvos por requisição
+
+// Redações fotografadas página a página: POST /essay-pdf junta as fotos num PDF em "redacoes"
+const ESSAY_FOLDER     = "redacoes"
+const ESSAY_MAX_PAGES  = Number(process.env.ESSAY_MAX_PAGES) || 20
+const ESSAY_PAGE_WIDTH = Number(process.env.ESSAY_PAGE_WIDTH) || 1654 // px por página (A4 a 200dpi)
+
+// Variantes de imagem sob demanda (/files/...?w=320&fmt=webp): larguras permitidas
+const IMAGE_VARIANT_WIDTHS  = (process.env.IMAGE_VARIANT_WIDTHS || "160,320,640,960,1280,1920").split(",").map(Number)
+const IMAGE_VARIANT_QUALITY = Number(process.env.IMAGE_VARIANT_QUALITY) || 75
+
+// Cache de /files: a URL "pura" pode receber bytes novos (sobrescrita, move), então é cacheada
+// por pouco tempo e revalidada pelo ETag; a URL versionada (?v=<hash>) é imutável
+const FILES_MAX_AGE = Number(process.env.FILES_MAX_AGE ?? 300)
+
+// Jobs em segundo plano (?async=1 em /upload e /extract-zip)
+const JOB_CONCURRENCY    = Number(process.env.JOB_CONCURRENCY) || 2
+const JOB_RETENTION_DAYS = Number(process.env.JOB_RETENTION_DAYS) || 7
+
+// Webhooks: tentativas por entrega (com backoff), timeout de cada POST e retenção do histórico
+const WEBHOOK_MAX_ATTEMPTS   = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8
+const WEBHOOK_TIMEOUT_MS     = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10_000
+const WEBHOOK_RETENTION_DAYS = Number(process.env.WEBHOOK_RETENTION_DAYS) || 7
+
+// GET /metrics (Prometheus): chave admin em x-api-key ou, com METRICS_TOKEN, "Authorization: Bearer <token>"
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null
+
+// Auditoria (GET /audit): um registro JSON por operação que altera arquivos, com rotação por tamanho
+const AUDIT_DIR        = process.env.AUDIT_DIR || path.join(DATA_DIR, "audit")
+const AUDIT_MAX_BYTES  = Number(process.env.AUDIT_MAX_BYTES) || 50 * 1024 * 1024 // 50MB por arquivo
+const AUDIT_KEEP_FILES = Number(process.env.AUDIT_KEEP_FILES) || 20
+
+// Proxy reverso na frente do servidor: de onde vem o IP do cliente (req.ip) na auditoria.
+// Vazio usa o IP da conexão; "1" confia em um proxy; também aceita lista de IPs/sub-redes
+const TRUST_PROXY = process.env.TRUST_PROXY || null
+
+// Limites da extração de zip (proteção contra zip bomb)
+const ZIP_LIMITS = {
+  maxEntries:    Number(process.env.ZIP_MAX_ENTRIES) || 10_000,
+  maxTotalBytes: Number(process.env.ZIP_MAX_TOTAL_BYTES) || 10 * 1024 * 1024 * 1024, // 10GB descompactado
+  maxRatio:      Number(process.env.ZIP_MAX_RATIO) || 200,                          // descompactado/compactado por entrada
+}
+
+// Download de pastas/seleções como zip (GET/POST /archive)
+const ARCHIVE_MAX_BYTES = Number(process.env.ARCHIVE_MAX_BYTES) || 2 * 1024 * 1024 * 1024 // 2GB
+
+// POST /batch: operações por requisição
+const BATCH_MAX_OPS = Number(process.env.BATCH_MAX_OPS) || 500
+
+// Lixeira: DELETE /files/* move para <pasta>/.trash; itens mais antigos que isso são apagados
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30
+
+// Versões de arquivos sobrescritos: quantas guardar por arquivo (0 desativa).
+// VERSION_LIMITS="imagens:0,material-apoio:10" sobrescreve o padrão por pasta
+const VERSION_LIMIT_DEFAULT = Number(process.env.VERSION_LIMIT ?? 5)
+const VERSION_LIMITS = Object.fromEntries((process.env.VERSION_LIMITS || "")
+  .split(",").map(s => s.trim()).filter(Boolean)
+  .map(s => { const [folder, n] = s.split(":"); return [folder.trim(), Number(n)] }))
+
+PRIVATE_FOLDERS.forEach((f) => {
+  if (!ALLOWED_FOLDERS.includes(f)) throw new Error("PRIVATE_FOLDERS contém pasta inválida: " + f)
+})
+if (!["quarantine", "reject"].includes(SNIFF_MISMATCH))
+  throw new Error("SNIFF_MISMATCH inválido. Use: quarantine, reject")
+PDF_PREVIEW_FOLDERS.forEach((f) => {
+  if (!ALLOWED_FOLDERS.includes(f)) throw new Error("PDF_PREVIEW_FOLDERS contém pasta inválida: " + f)
+})
+if (!PREVIEW_FORMATS.includes(PDF_PREVIEW_FORMAT))
+  throw new Error("PDF_PREVIEW_FORMAT inválido. Use: " + PREVIEW_FORMATS.join(", "))
+Object.entries(VERSION_LIMITS).forEach(([f, n]) => {
+  if (!ALLOWED_FOLDERS.includes(f)) throw new Error("VERSION_LIMITS contém pasta inválida: " + f)
+  if (!Number.isInteger(n) || n < 0) throw new Error("VERSION_LIMITS com limite inválido para " + f)
+})
+
+// As pastas da policy são criadas ao carregá-la
+console.log("Diretórios prontos em:", STORAGE_LABEL)
+
+const metadata = createMetadataIndex({ file: INDEX_FILE, storage, folders: ALLOWED_FOLDERS })
+
+// Atualiza o índice de metadados sem derrubar a operação se ele falhar (o reindex corrige depois)
+async function indexed(label, fn) {
+  try {
+    return await fn()
+  } catch (err) {
+    console.error("[metadata] erro ao indexar", label + ":", err.message)
+    return null
+  }
+}
+
+// Metadados de um upload a partir dos parâmetros da requisição (ou Upload-Metadata do tus)
+const uploadMeta = (params, source, uploader, file) => ({
+  source,
+  uploader,
+  original_name: file.originalname,
+  mimetype:      file.mimetype,
+  id_curso:      params.id_curso,
+  id_disciplina: params.id_disciplina,
+  id_professor:  params.id_professor,
+})
+
+const keys = createKeyStore({ file: KEYS_FILE, allowedFolders: ALLOWED_FOLDERS, legacyKey: API_KEY })
+
+// Auth — identifica a chave e checa a operação nas pastas envolvidas.
+// `getFolders(req)` retorna as pastas de primeiro nível que a requisição toca;
+// pastas fora de ALLOWED_FOLDERS são ignoradas aqui e rejeitadas pela própria rota.
+function auth(op, getFolders) {
+  return (req, res, next) => {
+    const key = keys.find(req.headers["x-api-key"])
+    if (!key) return res.status(401).json({ error: "Unauthorized" })
+    req.apiKey = key
+
+    const folders = (getFolders ? getFolders(req) : []).filter(f => ALLOWED_FOLDERS.includes(f))
+    if (op && !keys.allows(key, op, folders))
+      return res.status(403).json({ error: `Chave "${key.name}" sem permissão para ${op}` + (folders.length ? " em " + folders.join(", ") : "") })
+    next()
+  }
+}
+
+const queryFolder = (req) => [req.query.folder]
+const firstSegment = (p) => String(p || "").split("/").filter(Boolean)[0]
+
+const signer = createSigner({ secret: SIGNING_SECRET, defaultTtl: SIGNED_URL_TTL, maxTtl: SIGNED_URL_MAX_TTL })
+
+const isPrivate = (folder) => policy.get(folder)?.private ?? PRIVATE_FOLDERS.includes(folder)
+
+// Link de um arquivo (chave no armazenamento: "pasta/sub/arquivo"); assina se a pasta for privada
+function fileLink(relPath, ttl) {
+  const url = BASE_URL + "/files/" + relPath
+  if (!isPrivate(firstSegment(relPath))) return { url, expiresAt: null }
+  const { expires, sig } = signer.sign(relPath, ttl)
+  return { url: url + "?expires=" + expires + "&sig=" + sig, expiresAt: new Date(expires * 1000).toISOString() }
+}
+
+const fileUrl = (relPath) => fileLink(relPath).url
+
+// Trecho do hash de conteúdo usado em ?v=
+const versionTag = (hash) => hash.slice(0, 16)
+
+// URL imutável do conteúdo atual (?v=<hash>), a partir do checksum do índice; null se não indexado
+function versionedUrl(relPath, checksum) {
+  let hash = checksum
+  if (hash === undefined) {
+    try { hash = metadata.get(relPath)?.checksum } catch { hash = null }
+  }
+  if (!hash) return null
+  const url = fileUrl(relPath)
+  return url + (url.includes("?") ? "&" : "?") + "v=" + versionTag(hash)
+}
+
+// Pasta de destino de um upload ("pasta" ou "pasta/subpasta"; o armazenamento cria ao gravar)
+function uploadDest(folder, rawSubfolder) {
+  if (!folder || !ALLOWED_FOLDERS.includes(folder))
+    throw new Error("Pasta inválida. Use: " + ALLOWED_FOLDERS.join(", "))
+  const subfolder = safeSub(rawSubfolder)
+  return subfolder ? folder + "/" + subfolder : folder
+}
+
+// Nome final de um upload conforme os parâmetros (id_curso, id_disciplina, id_professor, subfolder)
+// e a estratégia de nomes da pasta na policy (auto | uuid | slug | course)
+function uploadFilename(params, originalname) {
+  const origExt = path.extname(originalname)          // extensão original (pode ser .JPG, .PDF…)
+  const ext     = origExt.toLowerCase()               // extensão final normalizada
+  if (ext === DERIV_SUFFIX)
+    throw Object.assign(new Error("Extensão reservada: " + DERIV_SUFFIX), { status: 400 })
+  const base    = path.basename(originalname, origExt) // remove extensão com case original
+  const slug    = slugify(base)
+
+  const idCurso      = params.id_curso
+  const idDisciplina = params.id_disciplina
+  const idProfessor  = params.id_professor
+  const subfolder    = params.subfolder
+  const hasIds       = idCurso && idDisciplina && idProfessor
+
+  switch (policy.get(params.folder)?.naming) {
+    case "uuid":
+      return uuidv4() + ext
+    case "slug":
+      return `${slug}${ext}`
+    case "course":
+      if (!hasIds) throw Object.assign(new Error("id_curso, id_disciplina e id_professor são obrigatórios nesta pasta"), { status: 400 })
+      return `${idCurso}-${idDisciplina}-${idProfessor}-${slug}${ext}`
+  }
+
+  return hasIds
+    ? `${idCurso}-${idDisciplina}-${idProfessor}-${slug}${ext}`
+    : subfolder
+      ? `${slug}${ext}`   // usa o originalname quando vai pra subpasta
+      : uuidv4() + ext    // fallback UUID
+}
+
+// Resposta padrão dos endpoints de upload
+function uploadResult({ folder, subfolder, filename, originalname, size, mimetype }) {
+  const relPath = subfolder ? folder + "/" + subfolder + "/" + filename : folder + "/" + filename
+  return { url: fileUrl(relPath), versionedUrl: versionedUrl(relPath), folder, filename, originalname, size, mimetype }
+}
+
+const versions = createVersionStore({
+  storage,
+  limitFor: (folder) => VERSION_LIMITS[folder] ?? VERSION_LIMIT_DEFAULT,
+})
+
+// Antes de gravar sobre um arquivo existente, guarda o conteúdo atual como versão.
+// Fica em req.keptVersion para ser desfeito (dropVersion) se o upload falhar.
+async function keepVersion(req, relPath) {
+  const entry = await versions.preserve(relPath, { replacedBy: req.apiKey.name })
+  if (entry) req.keptVersion = { relPath, entry }
+}
+
+async function dropVersion(req) {
+  if (!req.keptVersion) return
+  await versions.rollback(req.keptVersion.relPath, req.keptVersion.entry)
+  req.keptVersion = null
+}
+
+// Recusa (antes de gravar qualquer byte) arquivos com extensão/MIME fora da policy da pasta
+function policyFilter(req, file, cb) {
+  const reason = policy.rejects(req.query.folder, file.originalname, file.mimetype)
+  cb(reason ? Object.assign(new Error(reason), { status: 415 }) : null, !reason)
+}
+
+// Tamanho máximo recebido (antes da compressão) conforme a policy da pasta
+const uploadLimit = (req) => policy.get(req.query.folder)?.maxUploadBytes ?? Infinity
+
+fs.mkdirSync(INCOMING_DIR, { recursive: true })
+const quarantine = createQuarantine({ dir: QUARANTINE_DIR })
+const scanner    = CLAMD_ADDRESS ? createClamdScanner({ address: CLAMD_ADDRESS, timeoutMs: SCAN_TIMEOUT_MS }) : null
+
+// Recusa um arquivo inspecionado: quarentena (com registro) ou exclusão; sempre lança
+function refuse(tmpPath, info, status, toQuarantine) {
+  const record = toQuarantine ? quarantine.add(tmpPath, info) : null
+  if (!record) fs.rmSync(tmpPath, { force: true })
+  console.warn("[inspect] recusado:", info.path, "-", info.reason, record ? "quarentena=" + record.id : "(apagado)", "key=" + info.uploader)
+  throw Object.assign(new Error(info.reason), { status, quarantineId: record ? record.id : null })
+}
+
+// Inspeciona um arquivo recebido (ainda fora das pastas públicas) antes de ele ficar visível em
+// `relPath`: tipo real pelos magic bytes contra a extensão e a policy da pasta, depois antivírus.
+// Lança com status 415 (tipo), 422 (vírus) ou 503 (antivírus indisponível).
+async function inspectFile(tmpPath, { relPath, originalname, uploader, source }) {
+  const name     = originalname || path.basename(relPath)
+  const detected = await sniffFile(tmpPath)
+  const info     = { path: relPath, folder: firstSegment(relPath), uploader, source, detected: detected.mime }
+
+  const mismatch = await contentMismatch(tmpPath, name, detected)
+    || (detected.mime ? policy.rejects(info.folder, name, detected.mime) : null)
+  if (mismatch) refuse(tmpPath, { ...info, reason: mismatch }, 415, SNIFF_MISMATCH === "quarantine")
+
+  if (!scanner) return detected
+  let verdict
+  try {
+    verdict = await scanner.scan(tmpPath)
+  } catch (err) {
+    if (SCAN_FAIL_OPEN) {
+      console.warn("[inspect] antivírus indisponível, aceitando sem varredura:", relPath, err.message)
+      return detected
+    }
+    fs.rmSync(tmpPath, { force: true })
+    throw Object.assign(new Error("Antivírus indisponível, tente novamente: " + err.message), { status: 503 })
+  }
+  if (verdict.infected)
+    refuse(tmpPath, { ...info, reason: "Arquivo infectado: " + verdict.signature, signature: verdict.signature }, 422, true)
+  return detected
+}
+
+// Cotas da policy: "quotaBytes" da pasta e "quotas.professors" (por id_professor).
+// O uso vem do índice de metadados (só arquivos visíveis; lixeira e versões não contam) e o
+// arquivo novo entra com o tamanho recebido. `replacing` é o caminho que o upload vai
+// sobrescrever: o tamanho atual dele é descontado. Retorna o motivo da recusa ou null.
+function quotaExceeded({ folder, idProfessor, bytes, replacing }) {
+  const previous = replacing ? metadata.get(replacing) : null
+  const checks   = [{
+    label:    "da pasta " + folder,
+    limit:    policy.get(folder)?.quotaBytes,
+    used:     () => metadata.folderUsage(folder).bytes - (previous?.size || 0),
+  }]
+  if (idProfessor) checks.push({
+    label:    "do professor " + idProfessor,
+    limit:    policy.professorQuota(String(idProfessor)),
+    used:     () => metadata.professorUsage(idProfessor).bytes - (previous?.id_professor === String(idProfessor) ? previous.size || 0 : 0),
+  })
+
+  for (const { label, limit, used } of checks) {
+    if (!limit) continue
+    const current = used()
+    if (current + bytes > limit)
+      return `Cota ${label} excedida: ${toMB(current)} usados de ${toMB(limit)}, o arquivo tem ${toMB(bytes)}`
+  }
+  return null
+}
+
+function checkQuota(args) {
+  const reason = quotaExceeded(args)
+  if (reason) throw Object.assign(new Error(reason), { status: 413 })
+}
+
+// Leva o upload de INCOMING_DIR para o armazenamento (req.uploadTarget) depois da inspeção e das
+// cotas. Guarda a versão anterior se o destino já existir. Depois disso req.file.path é a chave.
+async function admitUpload(req, source) {
+  const relPath = req.uploadTarget
+  await inspectFile(req.file.path, {
+    relPath,
+    originalname: req.file.originalname,
+    uploader:     req.apiKey.name,
+    source,
+  })
+  checkQuota({ folder: firstSegment(relPath), idProfessor: req.query.id_professor, bytes: req.file.size, replacing: relPath })
+  await keepVersion(req, relPath)
+  try {
+    await storage.put(relPath, req.file.path)
+  } catch (err) {
+    await dropVersion(req).catch((e) => console.error("[upload] erro ao desfazer versão:", e.message))
+    throw err
+  }
+  Object.assign(req.file, { path: relPath, destination: path.posix.dirname(relPath), filename: path.posix.basename(relPath) })
+}
+
+// Corpo de erro dos uploads (com o id da quarentena, quando houver)
+const uploadError = (err) => ({ error: err.message, ...(err.quarantineId ? { quarantineId: err.quarantineId } : {}) })
+
+const incomingName = () => Date.now() + "-" + uuidv4()
+
+// Multer — grava em INCOMING_DIR (aceita até maxUploadBytes da pasta antes de comprimir);
+// a chave final fica em req.uploadTarget
+const storageIncoming = multer.diskStorage({
+  destination: (_req, _file, cb) => cb(null, INCOMING_DIR),
   filename: (req, file, cb) => {
-    const origExt = path.extname(file.originalname)          // extensão original (pode ser .JPG, .PDF…)
-    const ext     = origExt.toLowerCase()                    // extensão final normalizada
-    const base    = path.basename(file.originalname, origExt) // remove extensão com case original
-    const slug    = slugify(base)
-
-    const idCurso      = req.query.id_curso
-    const idDisciplina = req.query.id_disciplina
-    const idProfessor  = req.query.id_professor
-    const subfolder    = req.query.subfolder
-
-    const filename = (idCurso && idDisciplina && idProfessor)
-      ? `${idCurso}-${idDisciplina}-${idProfessor}-${slug}${ext}`
-      : subfolder
-        ? `${slug}${ext}`   // usa o originalname quando vai pra subpasta
-        : uuidv4() + ext    // fallback UUID
-
-    cb(null, filename)
+    try {
+      req.uploadTarget = uploadDest(req.query.folder, req.query.subfolder) + "/" + uploadFilename(req.query, file.originalname)
+    } catch (e) { return cb(e) }
+    cb(null, incomingName())
   },
 })
 
-const upload = multer({
-  storage,
-  limits: { fileSize: 5 * 1024 * 1024 * 1024 }, // 5GB
+const upload = (req) => multer({
+  storage:    storageIncoming,
+  fileFilter: policyFilter,
+  limits:     { fileSize: uploadLimit(req) },
 })
 
-// Upload sem limite — apenas para admin (extração de zip, backup, etc.)
+// Upload sem limite de tamanho — apenas para admin (extração de zip, backup, etc.).
+// Extensões/MIME da policy continuam valendo
 const uploadRaw = multer({
-  storage,
-  limits: { fileSize: Infinity },
+  storage:    storageIncoming,
+  fileFilter: policyFilter,
+  limits:     { fileSize: Infinity },
 })
 
 // Upload para o gerenciador de arquivos — mantém o nome original sem alterar nada
 const storageManager = multer.diskStorage({
-  destination: (req, file, cb) => {
+  destination: (_req, _file, cb) => cb(null, INCOMING_DIR),
+  filename: (req, file, cb) => {
     const folder = req.query.folder
     if (!folder || !ALLOWED_FOLDERS.includes(folder))
       return cb(new Error("Pasta inválida. Use: " + ALLOWED_FOLDERS.join(", ")))
-    const subfolder = safeSub(req.query.subfolder)
-    const dest      = subfolder ? path.join(UPLOAD_DIR, folder, subfolder) : path.join(UPLOAD_DIR, folder)
-    fs.mkdirSync(dest, { recursive: true })
-    cb(null, dest)
-  },
-  filename: (req, file, cb) => {
-    cb(null, file.originalname)
+    const name = path.basename(file.originalname)
+    if (isDerivDir(name))
+      return cb(Object.assign(new Error("Extensão reservada: " + DERIV_SUFFIX), { status: 400 }))
+    try {
+      const subfolder = safeSub(req.query.subfolder)
+      req.uploadTarget = (subfolder ? folder + "/" + subfolder : folder) + "/" + name
+    } catch (err) {
+      return cb(err)
+    }
+    cb(null, incomingName())
   },
 })
-const uploadManager = multer({
-  storage: storageManager,
-  limits: { fileSize: Infinity },
+const uploadManager = (req) => multer({
+  storage:    storageManager,
+  fileFilter: policyFilter,
+  limits:     { fileSize: uploadLimit(req) },
+})
+
+const videos = createVideoPipeline({
+  storage,
+  timeoutMs:  FFMPEG_TIMEOUT_MS,
+  renditions: DEFAULT_RENDITIONS.filter(r => VIDEO_RENDITIONS.includes(r.height)),
+})
+
+const isPipelineVideo = (folder, filename) =>
+  folder === VIDEO_FOLDER && VIDEO_EXTS.includes(path.extname(filename).toLowerCase())
+
+// URL de um derivado de `relPath`; em pasta privada leva a assinatura do próprio arquivo, que
+// /files aceita para tudo dentro de <arquivo>.deriv/ (e repassa às URIs das playlists HLS)
+function derivUrl(relPath, name) {
+  const { url } = fileLink(relPath)
+  const query   = url.includes("?") ? url.slice(url.indexOf("?")) : ""
+  return BASE_URL + "/files/" + derivDir(relPath) + "/" + name + query
+}
+
+// Estado do pipeline de vídeo com URLs absolutas (relPath = chave do vídeo no armazenamento)
+function videoInfo(relPath, status) {
+  if (!status) return null
+  return {
+    status:     status.status,
+    statusUrl:  BASE_URL + "/video/" + relPath,
+    duration:   status.duration ?? null,
+    width:      status.width ?? null,
+    height:     status.height ?? null,
+    poster:     status.poster ? derivUrl(relPath, status.poster) : null,
+    playlist:   status.playlist ? derivUrl(relPath, status.playlist) : null,
+    renditions: status.renditions || [],
+    error:      status.error || null,
+  }
+}
+
+// Põe o vídeo já gravado na fila do pipeline. Se nem o estado inicial puder ser gravado (ex.: put
+// no S3 falhou), o upload continua valendo: a falha volta em video.error e GET /video/* tenta de novo
+async function queueVideo(relPath) {
+  try {
+    return videoInfo(relPath, await videos.enqueue(relPath))
+  } catch (err) {
+    console.error("[video] erro ao enfileirar", relPath + ":", err.message)
+    return videoInfo(relPath, { status: "failed", error: err.message })
+  }
+}
+
+const pdfs = createPdfPreviews({
+  storage,
+  timeoutMs: GS_TIMEOUT_MS,
+  pages:     PDF_PREVIEW_PAGES,
+  width:     PDF_PREVIEW_WIDTH,
+  format:    PDF_PREVIEW_FORMAT,
 })
 
+const isPreviewPdf = (folder, filename) =>
+  PDF_PREVIEW_FOLDERS.includes(folder) && path.extname(filename).toLowerCase() === ".pdf"
+
+// Põe o PDF já gravado na fila de derivados (como queueVideo: uma falha ao gravar o estado não
+// derruba o upload; volta em pdf.error e GET /pdf-info tenta de novo)
+async function queuePdf(relPath) {
+  try {
+    return pdfInfo(relPath, await pdfs.enqueue(relPath))
+  } catch (err) {
+    console.error("[pdf] erro ao enfileirar", relPath + ":", err.message)
+    return pdfInfo(relPath, { status: "failed", error: err.message })
+  }
+}
+
+// Derivados de um PDF com URLs absolutas (relPath = chave do PDF no armazenamento)
+function pdfInfo(relPath, status) {
+  const base = relPath + ".deriv/"
+  return {
+    status:     status.status,
+    infoUrl:    BASE_URL + "/pdf-info/" + relPath,
+    pages:      status.pages ?? null,
+    thumbnails: (status.thumbnails || []).map(name => fileUrl(base + name)),
+    textUrl:    status.text ? fileUrl(base + status.text) : null,
+    textBytes:  status.textBytes ?? 0,
+    error:      status.error || null,
+  }
+}
+
+// --- Métricas (GET /metrics) ---
+const metrics          = createMetrics({ prefix: "cpcon_" })
+const uploadsTotal     = metrics.counter("uploads_total", "Requisições de upload por rota, pasta e resultado (ok | error)")
+const uploadBytesTotal = metrics.counter("upload_bytes_total", "Bytes gravados por uploads concluídos (após a compressão)")
+const compressSaved    = metrics.counter("compress_bytes_saved_total", "Bytes economizados pelo compress() por tipo (image | pdf)")
+const compressFailures = metrics.counter("compress_failures_total", "Falhas do sharp/ghostscript na compressão")
+const compressDuration = metrics.histogram("compress_duration_seconds", "Duração de cada execução do sharp/ghostscript na compressão")
+
+// Pasta como label: só as da policy, para não criar séries com valores vindos do cliente
+const folderLabel = (folder) => ALLOWED_FOLDERS.includes(folder) ? folder : "invalid"
+
+// Conta a requisição de upload quando a resposta sai (depois do auth: 401/403 não entram)
+function countUpload(route) {
+  return (req, res, next) => {
+    res.on("finish", () => {
+      uploadsTotal.inc({ route, folder: folderLabel(req.query.folder), result: res.statusCode < 400 ? "ok" : "error" })
+    })
+    next()
+  }
+}
+
 // --- Compressão de imagem com sharp ---
-// Sempre comprime. Se ficar abaixo de IMAGE_MAX_BYTES numa das passagens, para cedo.
-// Caso contrário, usa a menor versão obtida e aceita assim mesmo.
-async function compressImage(filepath) {
+// Sempre comprime, seguindo as passagens do perfil da pasta. Se ficar abaixo de
+// profile.targetBytes numa das passagens, para cedo; senão usa a menor versão obtida.
+// O formato de saída segue a extensão (.webp gera WebP, .avif gera AVIF...), mesmo que
+// o conteúdo enviado seja de outro formato.
+async function compressImage(filepath, profile) {
   const ext    = path.extname(filepath).toLowerCase()
-  const format = ext === ".png" ? "png" : "jpeg"
+  const format = EXT_FORMATS[ext] || "jpeg"
   const tmp    = filepath + ".tmp"
-
-  const passes = [
-    { width: 1920, quality: 80 },
-    { width: 1920, quality: 65 },
-    { width: 1920, quality: 50 },
-    { width: 1200, quality: 40 },
-    { width: 800,  quality: 35 },
-  ]
+  const passes = profile.passes
 
   let bestSize = Infinity
   let bestTmp  = null
 
   for (const { width, quality } of passes) {
     const out = filepath + `.q${quality}.tmp`
-    await sharp(filepath)
-      .resize({ width, withoutEnlargement: true })
-      .toFormat(format, { quality })
-      .toFile(out)
+    try {
+      await compressDuration.time({ tool: "sharp" }, () => sharp(filepath)
+        .resize({ width, withoutEnlargement: true })
+        .toFormat(format, { quality })
+        .toFile(out))
+    } catch (err) {
+      compressFailures.inc({ tool: "sharp" })
+      for (const p of [out, bestTmp]) if (p && fs.existsSync(p)) fs.unlinkSync(p)
+      throw err
+    }
 
     const size = fs.statSync(out).size
 
@@ -159,7 +676,7 @@ async function compressImage(filepath) {
     }
 
     // Para cedo se já está dentro do limite ideal
-    if (size <= IMAGE_MAX_BYTES) break
+    if (size <= profile.targetBytes) break
   }
 
   // Usa a melhor versão comprimida (mesmo que fique acima do limite)
@@ -174,29 +691,30 @@ async function compressImage(filepath) {
 }
 
 // --- Compressão de PDF com ghostscript (passagem única) ---
-async function compressPdf(filepath) {
+async function compressPdf(filepath, profile) {
   const originalSize = fs.statSync(filepath).size
   const tmp = filepath + ".tmp.pdf"
 
   try {
-    // Passagem única: reduz resolução de imagens internas para 150dpi
+    // Passagem única: reduz resolução de imagens internas para o dpi do perfil (150 no "aggressive")
     // Não usa presets (/ebook, /screen) — flags diretas são mais previsíveis e rápidas
-    await execFileAsync("gs", [
+    await compressDuration.time({ tool: "gs" }, () => execFileAsync("gs", [
       "-sDEVICE=pdfwrite",
       "-dCompatibilityLevel=1.4",
       "-dNOPAUSE",
       "-dBATCH",
       "-dDetectDuplicateImages=true",
       "-dDownsampleColorImages=true",
-      "-dColorImageResolution=150",
+      "-dColorImageResolution=" + profile.dpi,
       "-dDownsampleGrayImages=true",
-      "-dGrayImageResolution=150",
+      "-dGrayImageResolution=" + profile.dpi,
       "-dDownsampleMonoImages=true",
-      "-dMonoImageResolution=150",
+      "-dMonoImageResolution=" + profile.dpi,
       "-sOutputFile=" + tmp,
       filepath,
-    ], { timeout: GS_TIMEOUT_MS })
+    ], { timeout: GS_TIMEOUT_MS }))
   } catch (err) {
+    compressFailures.inc({ tool: "gs" })
     console.warn("[compress] gs falhou, usando arquivo original:", err.message)
     if (fs.existsSync(tmp)) fs.unlinkSync(tmp)
     return originalSize  // fallback: sobe o original sem comprimir
@@ -211,229 +729,1051 @@ async function compressPdf(filepath) {
     fs.unlinkSync(tmp)
   }
 
-  const finalSize = fs.statSync(filepath).size
-  if (finalSize > PDF_MAX_BYTES) {
-    fs.unlinkSync(filepath)
-    throw new Error("PDF muito grande (" + (finalSize / 1024 / 1024).toFixed(1) + "MB). Máximo: 20MB")
-  }
-
-  return finalSize
+  return fs.statSync(filepath).size
 }
 
+const toMB = (bytes) => (bytes / 1024 / 1024).toFixed(1) + "MB"
+
 // --- Dispatcher de compressão ---
-async function compress(filepath) {
-  const ext  = path.extname(filepath).toLowerCase()
-  const size = fs.statSync(filepath).size
+// Comprime imagens e PDFs (chave no armazenamento) com o perfil de compressão da pasta (nenhum
+// com "none") e então aplica o maxBytes da pasta ao tamanho final; acima dele o arquivo é apagado.
+async function compress(relPath) {
+  const ext  = path.extname(relPath).toLowerCase()
+  const rule = policy.get(firstSegment(relPath))
+  if (!rule) throw new Error("Pasta fora da policy")
+
+  const { size, final } = await storage.editLocalFile(relPath, async (filepath) => {
+    const size = fs.statSync(filepath).size
+    let final  = size
+    if (rule.compression && IMAGE_EXTS.includes(ext)) {
+      final = await compressImage(filepath, rule.compression)
+      console.log("[compress] imagem:", (size / 1024).toFixed(0) + "KB →", (final / 1024).toFixed(0) + "KB", "(" + rule.compression.profile + ")")
+    } else if (rule.compression && ext === ".pdf") {
+      final = await compressPdf(filepath, rule.compression)
+      console.log("[compress] pdf:", (size / 1024).toFixed(0) + "KB →", (final / 1024).toFixed(0) + "KB", "(" + rule.compression.profile + ")")
+    }
+    return { size, final }
+  })
+  if (final < size) compressSaved.inc({ kind: ext === ".pdf" ? "pdf" : "image" }, size - final)
 
-  if (IMAGE_EXTS.includes(ext)) {
-    const final = await compressImage(filepath)
-    console.log("[compress] imagem:", (size / 1024).toFixed(0) + "KB →", (final / 1024).toFixed(0) + "KB")
-    return final
+  if (final > rule.maxBytes) {
+    await storage.delete(relPath)
+    throw Object.assign(new Error("Arquivo muito grande (" + toMB(final) + "). Máximo em " + rule.folder + ": " + toMB(rule.maxBytes)), { status: 413 })
   }
 
-  if (ext === ".pdf") {
-    const final = await compressPdf(filepath)
-    console.log("[compress] pdf:", (size / 1024).toFixed(0) + "KB →", (final / 1024).toFixed(0) + "KB")
-    return final
+  return final
+}
+
+const jobs = createJobQueue({ file: JOBS_FILE, concurrency: JOB_CONCURRENCY, retentionDays: JOB_RETENTION_DAYS })
+
+const webhooks = createWebhooks({
+  file:           WEBHOOKS_FILE,
+  allowedFolders: ALLOWED_FOLDERS,
+  maxAttempts:    WEBHOOK_MAX_ATTEMPTS,
+  timeoutMs:      WEBHOOK_TIMEOUT_MS,
+  retentionDays:  WEBHOOK_RETENTION_DAYS,
+})
+
+// Dispara um evento sem nunca derrubar a operação que o gerou
+function notify(event, folders, data) {
+  try {
+    webhooks.emit(event, folders, data)
+  } catch (err) {
+    console.error("[webhooks] erro ao registrar", event + ":", err.message)
   }
+}
+
+if (TRUST_PROXY) app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY)
 
-  // Outros tipos: valida limite
-  if (size > OTHER_MAX_BYTES) {
-    fs.unlinkSync(filepath)
-    throw new Error("Arquivo muito grande (" + (size / 1024 / 1024).toFixed(1) + "MB). Máximo: 20MB")
+const audit = createAuditLog({ dir: AUDIT_DIR, maxBytes: AUDIT_MAX_BYTES, keep: AUDIT_KEEP_FILES })
+
+// Registra a requisição na auditoria quando a resposta sai (vem antes do auth: 401/403 também
+// ficam registrados). `describe(req, body)` dá os campos da operação a partir da requisição e do
+// JSON de resposta; a rota pode completar com res.locals.audit, ou trocar por uma lista de
+// registros (um por operação do /batch, um por QR code do lote).
+function audited(action, describe) {
+  return (req, res, next) => {
+    const json = res.json.bind(res)
+    res.json = (body) => {
+      res.locals.auditBody = body
+      return json(body)
+    }
+    res.on("finish", () => {
+      const body   = res.locals.auditBody || {}
+      const failed = res.statusCode >= 400
+      const base   = {
+        action,
+        result: failed ? "error" : res.statusCode === 202 ? "accepted" : "ok",
+        status: res.statusCode,
+        key:    req.apiKey?.name ?? null,
+        ip:     req.ip,
+        ...(describe ? describe(req, body) : {}),
+        ...(failed ? { error: body.error ?? null } : {}),
+      }
+      const extra = res.locals.audit
+      for (const entry of Array.isArray(extra) ? extra : [extra]) audit.record({ ...base, ...entry })
+    })
+    next()
   }
+}
+
+// Campos de auditoria dos uploads (multer deixa o destino em req.uploadTarget)
+const auditUpload = (req, body) => ({
+  path:         req.uploadTarget ?? null,
+  folder:       req.query.folder ?? null,
+  size:         body.size ?? req.file?.size ?? null,
+  originalname: req.file?.originalname,
+  jobId:        body.jobId,
+})
+
+// ?async=1 (ou "async": true no corpo JSON)
+function wantsAsync(req) {
+  const flag = req.query.async ?? req.body?.async
+  return flag === "1" || flag === "true" || flag === true || flag === 1
+}
+
+// Resposta 202 de uma operação enviada para a fila de jobs
+const jobAccepted = (job, extra) => ({
+  jobId:     job.id,
+  state:     job.state,
+  statusUrl: BASE_URL + "/jobs/" + job.id,
+  ...extra,
+})
+
+// Pós-processamento de um arquivo recebido por /upload: compressão, índice e pipeline de vídeo.
+// `upload` é serializável para poder rodar como job ({ relPath, originalname, mimetype, params, uploader }).
+async function finishUpload(upload) {
+  const folder    = firstSegment(upload.relPath)
+  const subfolder = safeSub(path.dirname(upload.relPath).split("/").slice(1).join("/"))
+  const filename  = path.basename(upload.relPath)
+
+  const finalSize = await compress(upload.relPath)
+  await indexed(upload.relPath, () => metadata.recordFile(upload.relPath, uploadMeta(upload.params, "upload", upload.uploader, upload)))
+
+  uploadBytesTotal.inc({ route: "upload", folder }, finalSize)
+  console.log("[upload] OK:", folder + "/" + filename, "(" + (finalSize / 1024).toFixed(0) + "KB)", "key=" + upload.uploader)
+
+  const result = uploadResult({
+    folder,
+    subfolder,
+    filename,
+    originalname: upload.originalname,
+    size:         finalSize,
+    mimetype:     upload.mimetype,
+  })
+  if (isPipelineVideo(folder, filename))
+    result.video = await queueVideo(upload.relPath)
+  if (isPreviewPdf(folder, filename))
+    result.pdf = await queuePdf(upload.relPath)
+
+  notify("upload", [folder], result)
+  return result
+}
 
-  return size
+// Jobs de operações auditadas registram também a conclusão (sem IP: rodam fora da requisição)
+function auditedJob(action, describe, handler) {
+  return async (params, ctx) => {
+    const base = { action, key: params.uploader, ip: null, jobId: ctx.jobId }
+    try {
+      const result = await handler(params, ctx)
+      audit.record({ ...base, result: "ok", ...describe(params, result) })
+      return result
+    } catch (err) {
+      audit.record({ ...base, result: "error", ...describe(params, {}), error: err.message })
+      throw err
+    }
+  }
 }
 
-// POST /upload?folder=material-apoio
-app.post("/upload", auth, (req, res) => {
-  upload.single("file")(req, res, async (err) => {
+jobs.register("compress", auditedJob("upload", (params, result) => ({
+  path:   params.relPath,
+  folder: firstSegment(params.relPath),
+  size:   result.size ?? null,
+}), async (params) => {
+  try {
+    return await finishUpload(params)
+  } catch (err) {
+    // Como no /upload síncrono: o conteúdo anterior volta a ser o atual
+    await versions.rollback(params.relPath, params.keptVersion?.entry).catch((e) => console.error("[upload] erro ao desfazer versão:", e.message))
+    throw err
+  }
+}), {
+  // Cortado por restart, o upload pode ter ficado sem compressão: desfaz como na falha acima
+  // (versão anterior de volta ou, sem ela, o arquivo apagado se passar do maxBytes da pasta)
+  recover: async (params) => {
+    if (params.keptVersion) return versions.rollback(params.relPath, params.keptVersion.entry)
+    const stat = await storage.stat(params.relPath)
+    const rule = policy.get(firstSegment(params.relPath))
+    if (stat && rule && stat.size > rule.maxBytes) await storage.delete(params.relPath)
+  },
+})
+
+// POST /upload?folder=material-apoio[&async=1]
+app.post("/upload", audited("upload", auditUpload), auth("upload", queryFolder), countUpload("upload"), (req, res) => {
+  upload(req).single("file")(req, res, async (err) => {
     if (err) {
       console.error("[upload] multer error:", err.message)
-      return res.status(400).json({ error: err.message })
+      return res.status(err.status || 400).json({ error: err.message })
     }
     if (!req.file) return res.status(400).json({ error: "Nenhum arquivo enviado" })
 
     try {
-      const finalSize = await compress(req.file.path)
-      const folder    = req.query.folder
-      const subfolder = safeSub(req.query.subfolder)
-      const url       = subfolder
-        ? BASE_URL + "/files/" + folder + "/" + subfolder + "/" + req.file.filename
-        : BASE_URL + "/files/" + folder + "/" + req.file.filename
+      await admitUpload(req, "upload")
+    } catch (e) {
+      fs.rmSync(req.file.path, { force: true })
+      return res.status(e.status || 400).json(uploadError(e))
+    }
 
-      console.log("[upload] OK:", folder + "/" + req.file.filename, "(" + (finalSize / 1024).toFixed(0) + "KB)")
+    const pending = {
+      relPath:      req.file.path,
+      originalname: req.file.originalname,
+      mimetype:     req.file.mimetype,
+      params:       { id_curso: req.query.id_curso, id_disciplina: req.query.id_disciplina, id_professor: req.query.id_professor },
+      uploader:     req.apiKey.name,
+      keptVersion:  req.keptVersion || null, // o job desfaz se a compressão falhar
+    }
 
-      res.json({
-        url,
-        folder,
+    // Compressão em segundo plano: responde já com o id do job
+    if (wantsAsync(req)) {
+      const job = jobs.enqueue("compress", pending, req.apiKey.name)
+      return res.status(202).json(jobAccepted(job, {
+        folder:       req.query.folder,
         filename:     req.file.filename,
         originalname: req.file.originalname,
-        size:         finalSize,
-        mimetype:     req.file.mimetype,
-      })
+      }))
+    }
+
+    try {
+      res.json(await finishUpload(pending))
     } catch (e) {
       console.error("[upload] error:", e.message)
-      res.status(400).json({ error: e.message })
+      await dropVersion(req).catch((err) => console.error("[upload] erro ao desfazer versão:", err.message))
+      res.status(e.status || 400).json({ error: e.message })
     }
   })
 })
 
 // POST /upload-raw?folder=X — upload sem compressão e sem limite (admin/extract)
-app.post("/upload-raw", auth, (req, res) => {
+app.post("/upload-raw", audited("upload-raw", auditUpload), auth("upload-raw", queryFolder), countUpload("upload-raw"), (req, res) => {
   uploadRaw.single("file")(req, res, async (err) => {
     if (err) {
       console.error("[upload-raw] multer error:", err.message)
-      return res.status(400).json({ error: err.message })
+      return res.status(err.status || 400).json({ error: err.message })
     }
     if (!req.file) return res.status(400).json({ error: "Nenhum arquivo enviado" })
 
-    const folder    = req.query.folder
-    const subfolder = safeSub(req.query.subfolder)
-    const finalSize = fs.statSync(req.file.path).size
-    const url       = subfolder
-      ? BASE_URL + "/files/" + folder + "/" + subfolder + "/" + req.file.filename
-      : BASE_URL + "/files/" + folder + "/" + req.file.filename
+    try {
+      await admitUpload(req, "upload-raw")
+    } catch (e) {
+      fs.rmSync(req.file.path, { force: true })
+      return res.status(e.status || 400).json(uploadError(e))
+    }
 
-    console.log("[upload-raw] OK:", folder + "/" + req.file.filename, "(" + (finalSize / 1024).toFixed(0) + "KB)")
+    try {
+      const folder    = req.query.folder
+      const subfolder = safeSub(req.query.subfolder)
+      const finalSize = req.file.size
+      const relPath   = req.file.path
+      await indexed(relPath, () => metadata.recordFile(relPath, uploadMeta(req.query, "upload-raw", req.apiKey.name, req.file)))
 
-    res.json({
-      url,
-      folder,
-      filename:     req.file.filename,
-      originalname: req.file.originalname,
-      size:         finalSize,
-      mimetype:     req.file.mimetype,
-    })
+      uploadBytesTotal.inc({ route: "upload-raw", folder }, finalSize)
+      console.log("[upload-raw] OK:", folder + "/" + req.file.filename, "(" + (finalSize / 1024).toFixed(0) + "KB)", "key=" + req.apiKey.name)
+
+      const result = uploadResult({
+        folder,
+        subfolder,
+        filename:     req.file.filename,
+        originalname: req.file.originalname,
+        size:         finalSize,
+        mimetype:     req.file.mimetype,
+      })
+      if (isPipelineVideo(folder, req.file.filename))
+        result.video = await queueVideo(relPath)
+      if (isPreviewPdf(folder, req.file.filename))
+        result.pdf = await queuePdf(relPath)
+
+      notify("upload-raw", [folder], result)
+      res.json(result)
+    } catch (e) {
+      // O arquivo já está gravado; a falha é nos passos seguintes (derivados, notificação...)
+      console.error("[upload-raw] error:", e.message)
+      res.status(500).json({ error: e.message })
+    }
   })
 })
 
 // POST /upload-manager?folder=X&subfolder=Y — upload para o gerenciador de arquivos (nome original intacto)
-app.post("/upload-manager", auth, (req, res) => {
-  uploadManager.single("file")(req, res, async (err) => {
+app.post("/upload-manager", audited("upload-manager", auditUpload), auth("manage", queryFolder), countUpload("upload-manager"), (req, res) => {
+  uploadManager(req).single("file")(req, res, async (err) => {
     if (err) {
       console.error("[upload-manager] multer error:", err.message)
-      return res.status(400).json({ error: err.message })
+      return res.status(err.status || 400).json({ error: err.message })
     }
     if (!req.file) return res.status(400).json({ error: "Nenhum arquivo enviado" })
 
-    const folder    = req.query.folder
-    const subfolder = safeSub(req.query.subfolder)
-    const finalSize = fs.statSync(req.file.path).size
-    const url       = subfolder
-      ? BASE_URL + "/files/" + folder + "/" + subfolder + "/" + req.file.filename
-      : BASE_URL + "/files/" + folder + "/" + req.file.filename
+    try {
+      await admitUpload(req, "upload-manager")
+    } catch (e) {
+      fs.rmSync(req.file.path, { force: true })
+      return res.status(e.status || 400).json(uploadError(e))
+    }
+
+    try {
+      const folder    = req.query.folder
+      const subfolder = safeSub(req.query.subfolder)
+      const finalSize = req.file.size
+      const relPath   = req.file.path
+      await indexed(relPath, () => metadata.recordFile(relPath, uploadMeta(req.query, "upload-manager", req.apiKey.name, req.file)))
 
-    console.log("[upload-manager] OK:", folder + "/" + req.file.filename, "(" + (finalSize / 1024).toFixed(0) + "KB)")
+      uploadBytesTotal.inc({ route: "upload-manager", folder }, finalSize)
+      console.log("[upload-manager] OK:", folder + "/" + req.file.filename, "(" + (finalSize / 1024).toFixed(0) + "KB)", "key=" + req.apiKey.name)
 
-    res.json({
-      url,
-      folder,
-      filename:     req.file.filename,
-      originalname: req.file.originalname,
-      size:         finalSize,
-      mimetype:     req.file.mimetype,
-    })
+      const result = uploadResult({
+        folder,
+        subfolder,
+        filename:     req.file.filename,
+        originalname: req.file.originalname,
+        size:         finalSize,
+        mimetype:     req.file.mimetype,
+      })
+      if (isPipelineVideo(folder, req.file.filename))
+        result.video = await queueVideo(relPath)
+      if (isPreviewPdf(folder, req.file.filename))
+        result.pdf = await queuePdf(relPath)
+
+      notify("upload-manager", [folder], result)
+      res.json(result)
+    } catch (e) {
+      // O arquivo já está gravado; a falha é nos passos seguintes (derivados, notificação...)
+      console.error("[upload-manager] error:", e.message)
+      res.status(500).json({ error: e.message })
+    }
   })
 })
 
-// POST /extract-zip?folder=X&subfolder=Y&filename=Z — extrai zip que já está no disco
-app.post("/extract-zip", auth, express.json(), (req, res) => {
-  const folder    = req.query.folder || req.body.folder
-  const subfolder = safeSub(req.query.subfolder || req.body.subfolder)
-  const filename  = req.query.filename || req.body.filename
+// Parâmetros de POST /qrcodes validados (comuns a todos os alvos do lote); lança com status 400
+function qrOptions(body) {
+  const format = String(body.format || "png").toLowerCase()
+  const size   = Number(body.size ?? 512)
+  const margin = Number(body.margin ?? 4)
+  // Com logo o código perde os módulos do centro: exige nível Q ou H (padrão H)
+  const level  = String(body.level || (body.logo ? "H" : "M")).toUpperCase()
+
+  const invalid = (msg) => Object.assign(new Error(msg), { status: 400 })
+  if (!QR_FORMATS.includes(format)) throw invalid("format inválido. Use: " + QR_FORMATS.join(", "))
+  if (!Number.isInteger(size) || size < 64 || size > QR_MAX_SIZE) throw invalid("size deve ser um inteiro entre 64 e " + QR_MAX_SIZE)
+  if (!Number.isInteger(margin) || margin < 0 || margin > 32) throw invalid("margin deve ser um inteiro entre 0 e 32")
+  if (!QR_LEVELS.includes(level)) throw invalid("level inválido. Use: " + QR_LEVELS.join(", "))
+  if (body.logo && !["Q", "H"].includes(level)) throw invalid("Com logo, use level Q ou H")
+  return { format, size, margin, level }
+}
 
-  if (!folder || !ALLOWED_FOLDERS.includes(folder))
-    return res.status(400).json({ error: "Pasta inválida" })
-  if (!filename || !filename.toLowerCase().endsWith(".zip"))
-    return res.status(400).json({ error: "filename deve ser um .zip" })
+// Conteúdo do logo central ("imagens/..."); a chave precisa de leitura em imagens
+async function qrLogo(req, raw) {
+  const parts = safeParts(raw)
+  const key   = parts ? parts.join("/") : ""
+  if (!parts || parts.length < 2 || parts[0] !== QR_LOGO_FOLDER || ![...IMAGE_EXTS, ".svg"].includes(path.extname(key).toLowerCase()))
+    throw Object.assign(new Error("logo inválido. Use uma imagem de " + QR_LOGO_FOLDER + "/ (ex.: " + QR_LOGO_FOLDER + "/logos/cpcon.png)"), { status: 400 })
+  if (!keys.allows(req.apiKey, "read", [QR_LOGO_FOLDER]))
+    throw Object.assign(new Error(`Chave "${req.apiKey.name}" sem permissão para read em ${QR_LOGO_FOLDER}`), { status: 403 })
+  const stat = await storage.stat(key)
+  if (!stat || stat.isDir) throw Object.assign(new Error("Logo não encontrado: " + key), { status: 404 })
+  return storage.readFile(key)
+}
 
-  const dir = subfolder
-    ? path.join(UPLOAD_DIR, folder, subfolder)
-    : path.join(UPLOAD_DIR, folder)
-  const zipPath = path.join(dir, path.basename(filename))
+// Gera um QR code e grava em "qrcodes" com as regras de subpasta e nomes de um upload.
+// `target` é { text, name }: o nome (ou o próprio texto) vira o originalname do arquivo.
+async function createQrFile(params, target, options, logo, uploader) {
+  const text = typeof target.text === "string" ? target.text : ""
+  if (!text) throw Object.assign(new Error("text (ou url) é obrigatório"), { status: 400 })
 
-  if (!fs.existsSync(zipPath))
-    return res.status(404).json({ error: "Arquivo zip não encontrado" })
+  const mimetype     = options.format === "svg" ? "image/svg+xml" : "image/png"
+  const originalname = String(target.name || text).replace(/[/\\]+/g, "-") + "." + options.format
+  const subfolder    = safeSub(params.subfolder)
+  const filename     = uploadFilename({ ...params, folder: QR_FOLDER }, originalname)
+  const relPath      = uploadDest(QR_FOLDER, params.subfolder) + "/" + filename
 
-  let zip
+  const reason = policy.rejects(QR_FOLDER, filename, mimetype)
+  if (reason) throw Object.assign(new Error(reason), { status: 415 })
+
+  let content
   try {
-    zip = new AdmZip(zipPath)
+    content = await renderQrCode(text, { ...options, logo })
   } catch (err) {
-    return res.status(400).json({ error: "Arquivo zip inválido ou corrompido" })
+    throw Object.assign(new Error("Não foi possível gerar o QR code: " + err.message), { status: 400 })
   }
+  checkQuota({ folder: QR_FOLDER, idProfessor: params.id_professor, bytes: content.length, replacing: relPath })
 
-  const entries = zip.getEntries()
-  const extracted = []
-  const errors = []
+  const tmpPath = path.join(INCOMING_DIR, incomingName())
+  fs.writeFileSync(tmpPath, content)
+  const kept = await versions.preserve(relPath, { replacedBy: uploader })
+  try {
+    await storage.put(relPath, tmpPath)
+  } catch (err) {
+    fs.rmSync(tmpPath, { force: true })
+    await versions.rollback(relPath, kept).catch((e) => console.error("[qrcodes] erro ao desfazer versão:", e.message))
+    throw err
+  }
+  await indexed(relPath, () => metadata.recordFile(relPath, uploadMeta(params, "qrcodes", uploader, { originalname, mimetype })))
 
-  for (const entry of entries) {
-    if (entry.isDirectory) continue
-    if (entry.entryName.startsWith("__MACOSX/")) continue
-    if (entry.entryName.includes("/.")) continue
+  uploadBytesTotal.inc({ route: "qrcodes", folder: QR_FOLDER }, content.length)
+  console.log("[qrcodes] OK:", relPath, "(" + (content.length / 1024).toFixed(0) + "KB)", "key=" + uploader)
 
-    const data = entry.getData()
-    if (!data || data.length === 0) continue
+  const result = uploadResult({ folder: QR_FOLDER, subfolder, filename, originalname, size: content.length, mimetype })
+  notify("upload", [QR_FOLDER], result)
+  return result
+}
 
-    const entryParts = entry.entryName.split("/")
-    const entryFilename = entryParts.pop()
-    const entrySubdir = entryParts.join("/")
+// POST /qrcodes — JSON { text | url, size, margin, level (L|M|Q|H), format (png|svg), logo,
+// subfolder, id_curso, id_disciplina, id_professor }. Responde como /upload.
+// Lote: { targets: ["https://...", { text, name }, ...], ...mesmas opções } → { count, failed, results }
+// com o resultado (ou { error }) de cada alvo, na ordem.
+app.post("/qrcodes", express.json(), audited("qrcodes", () => ({ folder: QR_FOLDER })), auth("upload", () => [QR_FOLDER]), async (req, res) => {
+  const body   = req.body || {}
+  const params = {
+    subfolder:     body.subfolder,
+    id_curso:      body.id_curso,
+    id_disciplina: body.id_disciplina,
+    id_professor:  body.id_professor,
+  }
 
-    // Destino: mesma pasta do zip + estrutura interna do zip
-    let targetDir = dir
-    if (entrySubdir) {
-      targetDir = path.join(dir, entrySubdir)
-      try { fs.mkdirSync(targetDir, { recursive: true }) } catch {}
+  try {
+    const options = qrOptions(body)
+    const logo    = body.logo ? await qrLogo(req, body.logo) : null
+
+    const auditOf = (r) => r.error
+      ? { result: "error", status: null, error: r.error }
+      : { result: "ok", path: uploadDest(QR_FOLDER, params.subfolder) + "/" + r.filename, size: r.size }
+
+    if (body.targets === undefined) {
+      const target = { text: body.text ?? body.url, name: body.name }
+      const result = await createQrFile(params, target, options, logo, req.apiKey.name)
+      res.locals.audit = auditOf(result)
+      return res.json(result)
     }
 
-    const targetPath = path.join(targetDir, entryFilename)
-    try {
-      fs.writeFileSync(targetPath, data)
-      extracted.push(entry.entryName)
-    } catch (err) {
-      errors.push(entry.entryName)
+    if (!Array.isArray(body.targets) || !body.targets.length || body.targets.length > QR_MAX_BATCH)
+      return res.status(400).json({ error: "targets deve ser uma lista com 1 a " + QR_MAX_BATCH + " itens" })
+
+    const results = []
+    for (const item of body.targets) {
+      const target = typeof item === "string" ? { text: item } : { text: item?.text ?? item?.url, name: item?.name }
+      try {
+        results.push(await createQrFile(params, target, options, logo, req.apiKey.name))
+      } catch (err) {
+        results.push({ text: target.text ?? null, error: err.message })
+      }
     }
+    const failed = results.filter(r => r.error).length
+    res.locals.audit = results.map(auditOf)
+    res.status(failed === results.length ? 400 : 200).json({ count: results.length - failed, failed, results })
+  } catch (err) {
+    console.error("[qrcodes] error:", err.message)
+    res.status(err.status || 400).json({ error: err.message })
   }
+})
 
-  console.log(`[extract-zip] OK: ${extracted.length} extraídos, ${errors.length} erros de ${zipPath}`)
+// Fotos das páginas de uma redação (só imagens; até ESSAY_MAX_PAGES, cada uma até maxUploadBytes)
+const uploadEssay = () => multer({
+  storage: multer.diskStorage({
+    destination: (_req, _file, cb) => cb(null, INCOMING_DIR),
+    filename:    (_req, _file, cb) => cb(null, incomingName()),
+  }),
+  fileFilter: (req, file, cb) => {
+    // Quantos "paths" já tinham chegado antes deste arquivo no corpo (ver essaySources)
+    file.pathsBefore = [].concat(req.body.paths ?? []).length
+    const ok = IMAGE_EXTS.includes(path.extname(file.originalname).toLowerCase())
+    cb(ok ? null : Object.assign(new Error("Página não é uma imagem: " + file.originalname + ". Use: " + IMAGE_EXTS.join(", ")), { status: 415 }), ok)
+  },
+  limits: { fileSize: policy.get(ESSAY_FOLDER)?.maxUploadBytes ?? Infinity, files: ESSAY_MAX_PAGES },
+})
 
-  res.json({
-    success: true,
+// Imagem já enviada usada como página ("pasta/sub/foto.jpg"); a chave precisa de leitura na pasta
+async function essayPageKey(req, raw) {
+  const parts = safeParts(raw)
+  const key   = parts ? parts.join("/") : ""
+  if (!parts || parts.length < 2 || !ALLOWED_FOLDERS.includes(parts[0]) || !IMAGE_EXTS.includes(path.extname(key).toLowerCase()))
+    throw Object.assign(new Error("Página inválida: " + raw + ". Use o caminho de uma imagem (ex.: redacoes/turma-a/pagina-1.jpg)"), { status: 400 })
+  if (!keys.allows(req.apiKey, "read", [parts[0]]))
+    throw Object.assign(new Error(`Chave "${req.apiKey.name}" sem permissão para read em ${parts[0]}`), { status: 403 })
+  const stat = await storage.stat(key)
+  if (!stat || stat.isDir) throw Object.assign(new Error("Página não encontrada: " + key), { status: 404 })
+  return key
+}
+
+// Páginas na ordem do corpo multipart: "paths" e "files" intercalados como vieram
+function essaySources(req) {
+  const refs    = [].concat(req.body.paths ?? [])
+  const sources = []
+  let next = 0
+  for (const file of req.files || []) {
+    while (next < file.pathsBefore) sources.push({ ref: refs[next++] })
+    sources.push({ file })
+  }
+  while (next < refs.length) sources.push({ ref: refs[next++] })
+  return sources.filter(s => s.file || s.ref)
+}
+
+// POST /essay-pdf?id_curso=&id_disciplina=&id_professor=[&subfolder=][&name=][&grayscale=1][&contrast=1]
+// Multipart: fotos em "files" e/ou caminhos de imagens já enviadas em "paths" (repetido).
+// Ordem das páginas: a do corpo multipart (paths e arquivos podem vir intercalados).
+// As fotos são giradas pelo EXIF e montadas num PDF, que passa pela compressão (ghostscript) de
+// "redacoes" e fica como <id_curso>-<id_disciplina>-<id_professor>-<name>.pdf. Responde como /upload.
+app.post("/essay-pdf", audited("essay-pdf", () => ({ folder: ESSAY_FOLDER })), auth("upload", () => [ESSAY_FOLDER]), (req, res) => {
+  uploadEssay().array("files", ESSAY_MAX_PAGES)(req, res, async (err) => {
+    const received = (req.files || []).map(f => f.path)
+    const scratch  = []
+    const cleanup  = () => [...received, ...scratch].forEach(p => fs.rmSync(p, { force: true }))
+
+    if (err) {
+      cleanup()
+      console.error("[essay-pdf] multer error:", err.message)
+      const tooMany = err.code === "LIMIT_FILE_COUNT" || err.code === "LIMIT_UNEXPECTED_FILE"
+      return res.status(err.status || 400).json({ error: tooMany ? "Máximo de " + ESSAY_MAX_PAGES + " páginas" : err.message })
+    }
+
+    try {
+      const { id_curso: idCurso, id_disciplina: idDisciplina, id_professor: idProfessor } = req.query
+      if (!idCurso || !idDisciplina || !idProfessor)
+        throw Object.assign(new Error("id_curso, id_disciplina e id_professor são obrigatórios"), { status: 400 })
+
+      const sources = essaySources(req)
+      const total   = sources.length
+      if (!total || total > ESSAY_MAX_PAGES)
+        throw Object.assign(new Error("Envie de 1 a " + ESSAY_MAX_PAGES + " páginas (files e/ou paths)"), { status: 400 })
+
+      const name         = req.query.name || "redacao-" + new Date().toISOString().slice(0, 19).replace(/\D/g, "")
+      const originalname = path.basename(name, path.extname(name)) + ".pdf"
+      const subfolder    = safeSub(req.query.subfolder)
+      const filename     = `${idCurso}-${idDisciplina}-${idProfessor}-${slugify(path.basename(originalname, ".pdf"))}.pdf`
+      const relPath      = uploadDest(ESSAY_FOLDER, req.query.subfolder) + "/" + filename
+      const reason       = policy.rejects(ESSAY_FOLDER, filename, "application/pdf")
+      res.locals.audit   = { path: relPath }
+      if (reason) throw Object.assign(new Error(reason), { status: 415 })
+
+      const pages = []
+      for (const { ref, file } of sources) {
+        if (file) {
+          await inspectFile(file.path, { relPath, originalname: file.originalname, uploader: req.apiKey.name, source: "essay-pdf" })
+          pages.push(file.path)
+          continue
+        }
+        const key = await essayPageKey(req, ref)
+        const tmp = storage.scratchPath(key)
+        scratch.push(tmp)
+        await storage.download(key, tmp)
+        pages.push(tmp)
+      }
+
+      const pdfPath = path.join(INCOMING_DIR, incomingName() + ".pdf")
+      scratch.push(pdfPath)
+      const profile = policy.get(ESSAY_FOLDER)?.compression
+      try {
+        await assembleScans(pages, pdfPath, {
+          width:     Math.min(ESSAY_PAGE_WIDTH, profile?.maxWidth ?? Infinity),
+          grayscale: req.query.grayscale === "1",
+          contrast:  req.query.contrast === "1",
+        })
+      } catch (e) {
+        throw Object.assign(new Error("Não foi possível montar o PDF: " + e.message), { status: 422 })
+      }
+
+      checkQuota({ folder: ESSAY_FOLDER, idProfessor, bytes: fs.statSync(pdfPath).size, replacing: relPath })
+      await keepVersion(req, relPath)
+
+      let finalSize
+      try {
+        await storage.put(relPath, pdfPath)
+        finalSize = await compress(relPath)
+      } catch (e) {
+        await dropVersion(req).catch((err) => console.error("[essay-pdf] erro ao desfazer versão:", err.message))
+        throw e
+      }
+      const mimetype = "application/pdf"
+      await indexed(relPath, () => metadata.recordFile(relPath, uploadMeta(req.query, "essay-pdf", req.apiKey.name, { originalname, mimetype })))
+
+      uploadBytesTotal.inc({ route: "essay-pdf", folder: ESSAY_FOLDER }, finalSize)
+      console.log("[essay-pdf] OK:", relPath, total, "páginas", "(" + (finalSize / 1024).toFixed(0) + "KB)", "key=" + req.apiKey.name)
+
+      const result = uploadResult({ folder: ESSAY_FOLDER, subfolder, filename, originalname, size: finalSize, mimetype })
+      result.pages = total
+      res.locals.audit = { path: relPath, size: finalSize, pages: total }
+      if (isPreviewPdf(ESSAY_FOLDER, filename))
+        result.pdf = await queuePdf(relPath)
+
+      notify("upload", [ESSAY_FOLDER], result)
+      res.json(result)
+    } catch (e) {
+      console.error("[essay-pdf] error:", e.message)
+      res.status(e.status || 400).json(uploadError(e))
+    } finally {
+      cleanup()
+    }
+  })
+})
+
+// Conclusão de um upload tus: inspeção, cotas, compressão (se não for raw) e índice
+async function finishTus(session, binPath) {
+  const { meta } = session
+  const originalname = path.basename(meta.filename)
+  const filename     = uploadFilename(meta, originalname)
+  const relPath      = uploadDest(meta.folder, meta.subfolder) + "/" + filename
+  await inspectFile(binPath, { relPath, originalname, uploader: session.key, source: "tus" })
+  const bytes = fs.statSync(binPath).size
+  checkQuota({
+    folder:      meta.folder,
+    idProfessor: meta.id_professor,
+    bytes,
+    replacing:   relPath,
+  })
+  const kept = await versions.preserve(relPath, { replacedBy: session.key })
+  let finalSize
+  try {
+    await storage.put(relPath, binPath)
+    finalSize = meta.raw === "1" ? bytes : await compress(relPath)
+  } catch (err) {
+    await versions.rollback(relPath, kept).catch((e) => console.error("[tus] erro ao desfazer versão:", e.message))
+    throw err
+  }
+  const mimetype  = meta.filetype || "application/octet-stream"
+  await indexed(relPath, () => metadata.recordFile(relPath, uploadMeta(meta, "tus", session.key, { originalname, mimetype })))
+
+  uploadBytesTotal.inc({ route: "tus", folder: meta.folder }, finalSize)
+  console.log("[tus] OK:", meta.folder + "/" + filename, "(" + (finalSize / 1024).toFixed(0) + "KB)", "key=" + session.key)
+
+  const result = uploadResult({
+    folder:       meta.folder,
+    subfolder:    safeSub(meta.subfolder),
+    filename,
+    originalname,
+    size:         finalSize,
+    mimetype,
+  })
+  if (isPipelineVideo(meta.folder, filename))
+    result.video = await queueVideo(relPath)
+  if (isPreviewPdf(meta.folder, filename))
+    result.pdf = await queuePdf(relPath)
+
+  notify(meta.raw === "1" ? "upload-raw" : "upload", [meta.folder], result)
+  return result
+}
+
+// /tus — upload retomável (tus 1.0). Upload-Metadata: filename, folder, subfolder,
+// id_curso, id_disciplina, id_professor, filetype e raw=1 (sem compressão, exige upload-raw).
+// Ao concluir, o arquivo segue as mesmas regras de destino/nome do /upload.
+const tus = createTusRouter({
+  dir:          TUS_DIR,
+  basePath:     BASE_URL + "/tus",
+  expireMs:     TUS_EXPIRE_HOURS * 3600 * 1000,
+  maxSize:      (meta) => meta.raw === "1" ? Infinity : uploadLimit({ query: meta }), // mesmos limites do multer
+  authenticate: auth(null),
+  validate: (meta) => {
+    if (!meta.folder || !ALLOWED_FOLDERS.includes(meta.folder))
+      return "Pasta inválida. Use: " + ALLOWED_FOLDERS.join(", ")
+    if (!meta.filename) return "filename é obrigatório em Upload-Metadata"
+    if (path.extname(meta.filename).toLowerCase() === DERIV_SUFFIX) return "Extensão reservada: " + DERIV_SUFFIX
+    try {
+      safeSub(meta.subfolder)
+    } catch (err) {
+      return err.message
+    }
+    return policy.rejects(meta.folder, meta.filename, meta.filetype)
+  },
+  authorize: (req, meta) => {
+    const op = meta.raw === "1" ? "upload-raw" : "upload"
+    return keys.allows(req.apiKey, op, [meta.folder])
+      ? null
+      : `Chave "${req.apiKey.name}" sem permissão para ${op} em ${meta.folder}`
+  },
+  finalize: async (session, binPath, req) => {
+    const { meta } = session
+    const entry    = { action: meta.raw === "1" ? "upload-raw" : "upload", source: "tus", key: session.key, ip: req.ip, folder: meta.folder, originalname: meta.filename }
+    try {
+      const result = await finishTus(session, binPath)
+      uploadsTotal.inc({ route: "tus", folder: folderLabel(meta.folder), result: "ok" })
+      audit.record({ ...entry, result: "ok", path: uploadDest(meta.folder, meta.subfolder) + "/" + result.filename, size: result.size })
+      return result
+    } catch (err) {
+      uploadsTotal.inc({ route: "tus", folder: folderLabel(meta.folder), result: "error" })
+      audit.record({ ...entry, result: "error", status: err.status || 400, error: err.message })
+      throw err
+    }
+  },
+})
+app.use("/tus", tus.router)
+setInterval(tus.cleanup, 3600 * 1000).unref()
+tus.cleanup()
+
+// Extrai um zip já validado e indexa os arquivos.
+// { zipPath, dir } são chaves no armazenamento; conflict = skip | overwrite | rename;
+// compress = passa imagens e PDFs extraídos pelo compress()
+async function runExtract({ zipPath, dir, uploader, conflict, compress: shouldCompress }, onProgress) {
+  const { extracted, skipped, rejected, failed } = await storage.withLocalFile(zipPath, (localZip) => extractZip(localZip, dir, {
+    storage,
+    limits: ZIP_LIMITS,
+    conflict,
+    onProgress,
+    accept: (entryName, size) => {
+      const rule = policy.get(firstSegment(dir))
+      if (rule && size > rule.maxUploadBytes) return "maior que o máximo da pasta (" + toMB(rule.maxUploadBytes) + ")"
+      // O índice já inclui as entradas extraídas antes desta, então a cota vale arquivo a arquivo
+      return policy.rejects(firstSegment(dir), path.basename(entryName))
+        || quotaExceeded({ folder: firstSegment(dir), bytes: size, replacing: path.posix.join(dir, entryName) })
+    },
+    inspect: async (tmpPath, relPath) => {
+      try {
+        await inspectFile(tmpPath, { relPath, uploader, source: "extract-zip" })
+        return null
+      } catch (err) {
+        return err.message + (err.quarantineId ? ` (quarentena ${err.quarantineId})` : "")
+      }
+    },
+    beforeOverwrite: (relPath) => versions.preserve(relPath, { replacedBy: uploader }),
+    onFile: async (relPath, entryName) => {
+      const ext = path.extname(relPath).toLowerCase()
+      if (shouldCompress && (IMAGE_EXTS.includes(ext) || ext === ".pdf")) await compress(relPath)
+
+      await indexed(relPath, () => metadata.recordFile(relPath, {
+        source:        "extract-zip",
+        uploader,
+        original_name: path.basename(entryName),
+      }))
+    },
+  }))
+
+  const errors = rejected.length + failed.length
+  console.log(`[extract-zip] OK: ${extracted.length} extraídos, ${skipped.length} ignorados, ${errors} erros de ${zipPath}`, "key=" + uploader)
+
+  const result = {
+    success: true,
     extracted: extracted.length,
-    errors: errors.length,
+    errors,
     files: extracted,
-  })
+    skipped,
+    rejected,
+    failed,
+  }
+  notify("extract-zip", [firstSegment(dir)], { folder: firstSegment(dir), zip: zipPath, dir, ...result })
+  return result
+}
+
+// Campos de auditoria de uma extração (na requisição ou no job)
+const auditExtract = (params, result) => ({
+  path:      params.zipPath,
+  to:        params.dir,
+  folder:    firstSegment(params.dir),
+  extracted: result.extracted,
+  errors:    result.errors,
+})
+
+jobs.register("extract-zip", auditedJob("extract-zip", auditExtract, (params, ctx) => runExtract(params, ctx.progress)))
+
+// POST /extract-zip?folder=X&subfolder=Y&filename=Z[&conflict=overwrite|skip|rename][&compress=1][&async=1]
+// Extrai zip que já está na pasta
+app.post("/extract-zip", express.json(), audited("extract-zip", (req, body) => ({ folder: req.query.folder || req.body.folder || null, jobId: body.jobId })), auth("manage", (req) => [req.query.folder || req.body.folder]), async (req, res) => {
+  const folder    = req.query.folder || req.body.folder
+  const filename  = req.query.filename || req.body.filename
+
+  if (!folder || !ALLOWED_FOLDERS.includes(folder))
+    return res.status(400).json({ error: "Pasta inválida" })
+  let subfolder
+  try {
+    subfolder = safeSub(req.query.subfolder || req.body.subfolder)
+  } catch (err) {
+    return res.status(err.status).json({ error: err.message })
+  }
+  if (!filename || !filename.toLowerCase().endsWith(".zip"))
+    return res.status(400).json({ error: "filename deve ser um .zip" })
+
+  const dir     = subfolder ? folder + "/" + subfolder : folder
+  const zipPath = dir + "/" + path.basename(filename)
+
+  const zipStat = await storage.stat(zipPath).catch(() => null)
+  if (!zipStat || zipStat.isDir)
+    return res.status(404).json({ error: "Arquivo zip não encontrado" })
+
+  const conflict = req.query.conflict || req.body.conflict || "overwrite"
+  if (!CONFLICT_POLICIES.includes(conflict))
+    return res.status(400).json({ error: "conflict inválido. Use: " + CONFLICT_POLICIES.join(", ") })
+
+  const compressFlag = req.query.compress ?? req.body.compress
+  const params = {
+    zipPath,
+    dir,
+    uploader: req.apiKey.name,
+    conflict,
+    compress: compressFlag === "1" || compressFlag === "true" || compressFlag === true,
+  }
+  res.locals.audit = { path: zipPath, to: dir }
+
+  if (wantsAsync(req)) {
+    const job = jobs.enqueue("extract-zip", params, req.apiKey.name)
+    return res.status(202).json(jobAccepted(job, { folder, filename: path.basename(filename) }))
+  }
+
+  try {
+    const result = await runExtract(params)
+    res.locals.audit = auditExtract(params, result)
+    res.json(result)
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message })
+  }
+})
+
+// GET /files/<pasta privada>/... — exige assinatura válida
+app.use("/files", (req, res, next) => {
+  if (req.method !== "GET" && req.method !== "HEAD") return next()
+  let relPath
+  try {
+    relPath = decodeURIComponent(req.path).replace(/^\/+/, "")
+  } catch {
+    return res.status(400).json({ error: "Caminho inválido" })
+  }
+  if (!isPrivate(firstSegment(relPath))) return next()
+  // Derivados (<arquivo>.deriv/...) valem também com a assinatura do arquivo original
+  const parent = derivParent(relPath)
+  if (!signer.verify(relPath, req.query.expires, req.query.sig) && !(parent && signer.verify(parent, req.query.expires, req.query.sig)))
+    return res.status(403).json({ error: "URL assinada inválida ou expirada" })
+  res.locals.signed = true
+  next()
 })
 
-// GET /files — serve arquivos publicamente
-app.use("/files", express.static(UPLOAD_DIR, {
-  setHeaders: (res) => res.set("Cache-Control", "public, max-age=31536000"),
+const hashes = createContentHashes({ storage, lookup: (relPath) => metadata.get(relPath) })
+
+// GET /files/... — localiza o arquivo pedido (res.locals.file) e calcula o hash de conteúdo: vira
+// ETag forte (com If-None-Match → 304) e decide se a URL é a versionada (?v=<hash atual>) e pode
+// ser cacheada para sempre. Caminhos ocultos (DATA_DIR, .trash, .versions) nunca são servidos
+app.use("/files", async (req, res, next) => {
+  if (req.method !== "GET" && req.method !== "HEAD") return next()
+  const relPath = decodeURIComponent(req.path).replace(/^\/+/, "")
+  const parts   = relPath.split("/")
+  if (parts.some(p => !p || p.startsWith(".") || p === "..")) return next()
+
+  try {
+    const stat = await storage.stat(relPath)
+    if (!stat || stat.isDir) return next()
+    res.locals.file = { key: relPath, stat }
+    const hash = await hashes.hashOf(relPath, stat)
+    res.locals.contentHash = hash
+    res.locals.immutable   = req.query.v === versionTag(hash)
+  } catch (err) {
+    // sem hash o arquivo ainda é servido, com ETag fraco
+    console.error("[files] erro ao ler", relPath + ":", err.message)
+  }
+  next()
+})
+
+const filesCacheControl = (res) => res.locals.signed
+  ? "private, no-store"
+  : res.locals.immutable
+    ? "public, max-age=31536000, immutable"
+    : "public, max-age=" + FILES_MAX_AGE
+
+// GET /files/<imagem>?w=320&fmt=webp — variante redimensionada/convertida (cacheada em .deriv)
+app.use("/files", createVariantHandler({
+  storage,
+  widths:       IMAGE_VARIANT_WIDTHS,
+  quality:      IMAGE_VARIANT_QUALITY,
+  cacheControl: filesCacheControl,
+  etag:         (res, name) => res.locals.contentHash ? strongEtag(res.locals.contentHash, name) : null,
 }))
 
+// GET /files/<pasta privada>/....m3u8 — a playlist sai com a assinatura da requisição em cada URI,
+// para o player conseguir baixar renditions e segmentos (que valem com a assinatura do vídeo)
+app.use("/files", async (req, res, next) => {
+  if ((req.method !== "GET" && req.method !== "HEAD") || !res.locals.file || !res.locals.signed) return next()
+  const { key } = res.locals.file
+  if (path.extname(key).toLowerCase() !== ".m3u8") return next()
+  try {
+    const query = new URLSearchParams({ expires: req.query.expires, sig: req.query.sig }).toString()
+    const text  = signPlaylist((await storage.readFile(key)).toString("utf8"), query)
+    res.set({ "Cache-Control": filesCacheControl(res), "X-Content-Type-Options": "nosniff" })
+    res.type("application/vnd.apple.mpegurl").send(text)
+  } catch (err) {
+    next(err)
+  }
+})
+
+// GET /files — serve arquivos publicamente (pastas privadas só chegam aqui assinadas).
+// Texto sai sempre como text/plain, SVG como anexo sem script, tudo com nosniff: nada enviado
+// por upload roda como página
+app.use("/files", async (req, res, next) => {
+  if ((req.method !== "GET" && req.method !== "HEAD") || !res.locals.file) return next()
+  const { key, stat } = res.locals.file
+  try {
+    const { type, headers } = await servingOptions(storage, key, stat)
+    await sendStored(storage, req, res, key, stat, {
+      type,
+      headers: { "Cache-Control": filesCacheControl(res), "X-Content-Type-Options": "nosniff", ...headers },
+      etag:    res.locals.contentHash ? strongEtag(res.locals.contentHash) : null,
+    })
+  } catch (err) {
+    next(err)
+  }
+})
+
+// GET /video/* — estado do pipeline (poster, playlist HLS, duração, resolução)
+app.get("/video/*", auth("read", (req) => [firstSegment(req.params[0])]), async (req, res) => {
+  const parts = safeParts(req.params[0])
+  const relPath = parts ? parts.join("/") : ""
+  if (!parts || parts.length < 2 || !isPipelineVideo(parts[0], relPath))
+    return res.status(400).json({ error: "Caminho inválido. Use: videos/arquivo.mp4 ou videos/subpasta/arquivo.mp4" })
+
+  try {
+    if (!(await storage.exists(relPath)))
+      return res.status(404).json({ error: "Arquivo não encontrado" })
+
+    // Vídeos enviados antes do pipeline (ou via upload-manager) são processados sob demanda
+    const status = await videos.status(relPath) || await videos.enqueue(relPath)
+    res.set("Cache-Control", "no-store").json({ url: fileUrl(relPath), ...videoInfo(relPath, status) })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// GET /pdf-info/pasta/sub/arquivo.pdf[?text=1][&refresh=1] — páginas, miniaturas e texto extraído.
+// Põe na fila quando ainda não há derivados (pastas fora de PDF_PREVIEW_FOLDERS, zips, PDFs
+// antigos) ou quando o PDF mudou, e responde status "pending" até o gs terminar (o cliente repete a
+// consulta); refresh=1 força gerar de novo. text=1 inclui o texto na resposta
+app.get("/pdf-info/*", auth("read", (req) => [firstSegment(req.params[0])]), async (req, res) => {
+  const parts   = safeParts(req.params[0])
+  const relPath = parts ? parts.join("/") : ""
+  if (!parts || parts.length < 2 || !ALLOWED_FOLDERS.includes(parts[0]) || path.extname(relPath).toLowerCase() !== ".pdf")
+    return res.status(400).json({ error: "Caminho inválido. Use: pasta/arquivo.pdf ou pasta/subpasta/arquivo.pdf" })
+
+  try {
+    const stat = await storage.stat(relPath)
+    if (!stat || stat.isDir)
+      return res.status(404).json({ error: "Arquivo não encontrado" })
+
+    const status = req.query.refresh === "1" ? await pdfs.enqueue(relPath) : await pdfs.ensure(relPath)
+    const body   = { url: fileUrl(relPath), ...pdfInfo(relPath, status) }
+    if (req.query.text === "1")
+      body.text = status.text ? (await storage.readFile(relPath + ".deriv/" + status.text)).toString("utf8") : null
+    res.set("Cache-Control", "no-store").json(body)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Envia a seleção como zip, respeitando ARCHIVE_MAX_BYTES
+function archiveResponse(req, res, files, filename) {
+  if (!files.length) return res.status(404).json({ error: "Nenhum arquivo para compactar" })
+
+  const total = files.reduce((sum, f) => sum + f.size, 0)
+  if (total > ARCHIVE_MAX_BYTES) {
+    return res.status(413).json({
+      error: "Seleção muito grande (" + (total / 1024 / 1024).toFixed(1) + "MB). Máximo: " + (ARCHIVE_MAX_BYTES / 1024 / 1024).toFixed(0) + "MB",
+    })
+  }
+
+  console.log("[archive] OK:", filename, files.length, "arquivos", "(" + (total / 1024).toFixed(0) + "KB)", "key=" + req.apiKey.name)
+  sendArchive(storage, res, files, filename)
+}
+
+// GET /archive?folder=X&subfolder=Y — baixa a pasta (ou subpasta) inteira como zip
+app.get("/archive", auth("read", queryFolder), async (req, res) => {
+  const folder = req.query.folder
+  if (!folder || !ALLOWED_FOLDERS.includes(folder))
+    return res.status(400).json({ error: "Pasta inválida. Use: " + ALLOWED_FOLDERS.join(", ") })
+
+  try {
+    const subfolder = safeSub(req.query.subfolder)
+    const relDir    = subfolder ? folder + "/" + subfolder : folder
+    if (!(await storage.exists(relDir)))
+      return res.status(404).json({ error: "Pasta não encontrada" })
+    const files = await collect(storage, relDir, relDir)
+    archiveResponse(req, res, files, path.basename(relDir) + ".zip")
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message })
+  }
+})
+
+// POST /archive { paths: ["folder/sub/arquivo", "folder/subpasta"], name? } — zip de uma seleção.
+// Dentro do zip, cada item mantém o caminho completo (folder/sub/...)
+app.post("/archive", express.json(), auth("read", (req) => (Array.isArray(req.body.paths) ? req.body.paths : []).map(firstSegment)), async (req, res) => {
+  const paths = req.body.paths
+  if (!Array.isArray(paths) || !paths.length)
+    return res.status(400).json({ error: "paths deve ser uma lista de caminhos" })
+
+  const selected = new Set()
+  for (const p of paths) {
+    // Sanitiza cada segmento contra path traversal
+    const parts = safeParts(p)
+    if (!parts)
+      return res.status(400).json({ error: "Caminho inválido: " + p })
+    if (!parts.length || !ALLOWED_FOLDERS.includes(parts[0]))
+      return res.status(400).json({ error: "Pasta inválida: " + p })
+    selected.add(parts.join("/"))
+  }
+
+  try {
+    for (const relPath of selected) {
+      if (!(await storage.exists(relPath)))
+        return res.status(404).json({ error: "Arquivo não encontrado: " + relPath })
+    }
+
+    const seen  = new Set()
+    const files = []
+    for (const relPath of selected) {
+      for (const f of await collect(storage, relPath, "")) {
+        if (seen.has(f.name)) continue // pasta e arquivo dela selecionados juntos
+        seen.add(f.name)
+        files.push(f)
+      }
+    }
+    const name = req.body.name ? slugify(path.basename(String(req.body.name), ".zip")) || "arquivos" : "arquivos"
+    archiveResponse(req, res, files, name + ".zip")
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// GET /sign?path=folder/sub/file&ttl=3600 — gera URL assinada (requer read na pasta)
+app.get("/sign", auth("read", (req) => [firstSegment(req.query.path)]), async (req, res) => {
+  const parts = safeParts(req.query.path)
+  if (!parts || parts.length < 2 || !ALLOWED_FOLDERS.includes(parts[0]))
+    return res.status(400).json({ error: "Caminho inválido. Use: pasta/arquivo ou pasta/subpasta/arquivo" })
+
+  const relPath = parts.join("/")
+  try {
+    if (!(await storage.exists(relPath)))
+      return res.status(404).json({ error: "Arquivo não encontrado" })
+  } catch (err) {
+    return res.status(500).json({ error: err.message })
+  }
+
+  res.json(fileLink(relPath, req.query.ttl))
+})
+
 // GET /list/:folder?subfolder= — lista arquivos/subpastas com metadados (requer auth)
-app.get("/list/:folder", auth, (req, res) => {
+app.get("/list/:folder", auth("read", (req) => [req.params.folder]), async (req, res) => {
   const folder = req.params.folder
   if (!ALLOWED_FOLDERS.includes(folder))
     return res.status(400).json({ error: "Pasta inválida" })
 
-  const subfolder = safeSub(req.query.subfolder)
-  const dir = subfolder
-    ? path.join(UPLOAD_DIR, folder, subfolder)
-    : path.join(UPLOAD_DIR, folder)
-
-  if (!fs.existsSync(dir)) return res.json({ folder, subfolder: subfolder || null, entries: [] })
+  let subfolder
+  try {
+    subfolder = safeSub(req.query.subfolder)
+  } catch (err) {
+    return res.status(err.status).json({ error: err.message })
+  }
+  const dir = subfolder ? folder + "/" + subfolder : folder
 
-  const raw = fs.readdirSync(dir, { withFileTypes: true }).filter(e => !e.name.startsWith("."))
-  const entries = raw.map(e => {
-    const stat = fs.statSync(path.join(dir, e.name))
-    return {
-      name:     e.name,
-      isDir:    e.isDirectory(),
-      size:     e.isFile() ? stat.size : null,
-      modified: stat.mtime.toISOString(),
-    }
-  }).sort((a, b) => {
+  let raw
+  try {
+    raw = (await storage.list(dir))
+      .filter(e => !e.name.startsWith(".") && !(e.isDir && isDerivDir(e.name)))
+  } catch (err) {
+    return res.status(500).json({ error: err.message })
+  }
+  // Pasta inexistente lista vazio. No S3, pastas sem marcador não têm data de modificação
+  const entries = raw.map(e => ({
+    name:     e.name,
+    isDir:    e.isDir,
+    size:     e.isDir ? null : e.size,
+    modified: e.mtime ? e.mtime.toISOString() : null,
+  })).sort((a, b) => {
     if (a.isDir !== b.isDir) return a.isDir ? -1 : 1
     return a.name.localeCompare(b.name)
   })
@@ -441,145 +1781,938 @@ app.get("/list/:folder", auth, (req, res) => {
   res.json({ folder, subfolder: subfolder || null, entries })
 })
 
-// DELETE /files/* — suporta qualquer profundidade (folder/file ou folder/subfolder/file)
-app.delete("/files/*", auth, (req, res) => {
-  const filePath = req.params[0]
-  const parts    = filePath.split("/").filter(Boolean)
+// GET /checksums?folder=X&subfolder=Y — todos os arquivos da subárvore (recursivo, sem ocultos e
+// derivados, como /archive) com sha256, para o cliente comparar com uma cópia local (cpcon-files sync).
+// `path` é relativo à subárvore; `url` já vem assinada nas pastas privadas. Pasta inexistente → lista vazia
+app.get("/checksums", auth("read", queryFolder), async (req, res) => {
+  const folder = req.query.folder
+  if (!folder || !ALLOWED_FOLDERS.includes(folder))
+    return res.status(400).json({ error: "Pasta inválida. Use: " + ALLOWED_FOLDERS.join(", ") })
 
-  if (parts.length < 2)
-    return res.status(400).json({ error: "Caminho inválido. Use: pasta/arquivo ou pasta/subpasta/arquivo" })
+  try {
+    const subfolder = safeSub(req.query.subfolder)
+    const relDir    = subfolder ? folder + "/" + subfolder : folder
+    const stat      = await storage.stat(relDir)
+    if (stat && !stat.isDir) return res.status(409).json({ error: "Não é uma pasta: " + relDir })
+
+    const files = []
+    for (const f of stat ? await collect(storage, relDir, relDir) : []) {
+      const current = await storage.stat(f.key)
+      if (!current) continue // apagado durante a listagem
+      files.push({
+        path:     f.name,
+        size:     current.size,
+        modified: current.mtime.toISOString(),
+        sha256:   await hashes.hashOf(f.key, current),
+        url:      fileUrl(f.key),
+      })
+    }
+    res.json({ folder, subfolder: subfolder || null, files })
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message })
+  }
+})
 
-  const folder = parts[0]
-  if (!ALLOWED_FOLDERS.includes(folder))
-    return res.status(400).json({ error: "Pasta inválida" })
+const trash = createTrash({ storage, folders: ALLOWED_FOLDERS, retentionDays: TRASH_RETENTION_DAYS })
+
+// --- Operações do gerenciador de arquivos ---
+// /move, /copy, /mkdir, DELETE /files/* e /batch passam pelos mesmos planos: planX() valida a
+// operação (caminhos, permissões, existência, conflitos, policy, cota) contra uma visão do
+// armazenamento sem alterar nada e retorna { op, ..., effects, run }. run() executa e retorna
+// { result, undo }; undo() desfaz a operação (null quando não há como, ex.: exclusão permanente).
+// `effects` descreve o que a operação muda, para a simulação do dryRun do /batch.
+const BATCH_OPS = ["move", "copy", "delete", "mkdir"]
+
+const opError = (status, message) => Object.assign(new Error(message), { status })
+
+// Caminho "pasta/sub/arquivo" vindo do cliente: segmentos seguros e pasta da policy; senão 400
+function opPath(raw, label) {
+  if (!raw) throw opError(400, label + " é obrigatório")
+  const parts = safeParts(raw)
+  if (!parts || parts.length < 2) throw opError(400, "Caminho inválido em " + label + ". Use: pasta/arquivo ou pasta/subpasta/arquivo")
+  if (!ALLOWED_FOLDERS.includes(parts[0])) throw opError(400, "Pasta inválida: " + parts[0])
+  return parts.join("/")
+}
 
-  // Sanitiza cada segmento contra path traversal
-  const safeParts = parts.map(p => path.basename(p))
-  const filepath  = path.join(UPLOAD_DIR, ...safeParts)
+function requireOp(apiKey, op, folder) {
+  if (!keys.allows(apiKey, op, [folder])) throw opError(403, `Chave "${apiKey.name}" sem permissão para ${op} em ${folder}`)
+}
 
-  if (!fs.existsSync(filepath))
-    return res.status(404).json({ error: "Arquivo não encontrado" })
+// Visão do armazenamento real: locate(key) → { key, stat } ou null
+const storageView = {
+  async locate(key) {
+    const stat = await storage.stat(key)
+    return stat ? { key, stat } : null
+  },
+  apply() {},
+}
 
-  try {
-    const stat = fs.statSync(filepath)
-    if (stat.isDirectory()) {
-      fs.rmSync(filepath, { recursive: true, force: true })
-    } else {
-      fs.unlinkSync(filepath)
+// Visão para simular uma sequência de operações: os efeitos já simulados valem por cima do
+// armazenamento. Um caminho criado por move/copy aponta para a origem real (key); uma pasta
+// criada por mkdir não tem chave real (key null, vazia).
+function createDryView() {
+  const changes = [] // { path, present, from }
+  async function locate(key, upTo = changes.length) {
+    for (let i = upTo - 1; i >= 0; i--) {
+      const c = changes[i]
+      if (key !== c.path && !key.startsWith(c.path + "/")) continue
+      if (!c.present) return null
+      if (c.from) return locate(c.from + key.slice(c.path.length), i)
+      return key === c.path ? { key: null, stat: { isDir: true, size: 0, mtime: null } } : null
     }
-    res.json({ success: true })
-  } catch (err) {
-    res.status(500).json({ error: err.message })
+    return storageView.locate(key)
   }
+  return { locate, apply: (effects) => changes.push(...effects) }
+}
+
+// Arquivos visíveis de um item localizado (o próprio arquivo ou o conteúdo da pasta)
+async function filesAt(found) {
+  if (!found.key) return []
+  if (!found.stat.isDir) return [{ name: path.posix.basename(found.key), size: found.stat.size }]
+  return collect(storage, found.key, found.key)
+}
+
+// Origem e destino de move/copy: existência, conflito e policy da pasta de destino
+async function planTransfer(from, to, view) {
+  const src = opPath(from, "from")
+  const dst = opPath(to, "to")
+  if (dst === src || dst.startsWith(src + "/"))
+    throw opError(400, "O destino não pode ser a própria origem nem ficar dentro dela")
+
+  const found = await view.locate(src)
+  if (!found) throw opError(404, "Arquivo não encontrado: " + src)
+  if (await view.locate(dst)) throw opError(409, "Já existe um arquivo com esse nome no destino: " + dst)
+  return { src, dst, found, isDir: found.stat.isDir }
+}
+
+async function moveEntry(src, dst, isDir, apiKey) {
+  await storage.move(src, dst)
+  if (!isDir) await moveDerivatives(storage, src, dst)
+  await versions.move(src, dst)
+  await indexed(src, () => metadata.movePath(src, dst))
+  console.log("[move] OK:", src, "→", dst, "key=" + apiKey.name)
+  notify("move", [...new Set([firstSegment(src), firstSegment(dst)])], { from: src, to: dst, isDir, url: isDir ? null : fileUrl(dst) })
+}
+
+async function planMove(from, to, { apiKey, view = storageView }) {
+  const { src, dst, found, isDir } = await planTransfer(from, to, view)
+  const srcFolder = firstSegment(src)
+  const dstFolder = firstSegment(dst)
+  requireOp(apiKey, "manage", srcFolder)
+  requireOp(apiKey, "manage", dstFolder)
+
+  // A policy da pasta de destino vale para o que chega nela (arquivo renomeado ou conteúdo da pasta)
+  const refused = isDir
+    ? (srcFolder !== dstFolder ? (await filesAt(found)).map(f => policy.rejects(dstFolder, f.name)).find(Boolean) : null)
+    : policy.rejects(dstFolder, path.posix.basename(dst))
+  if (refused) throw opError(415, refused)
+
+  return {
+    op:      "move",
+    from:    src,
+    to:      dst,
+    isDir,
+    effects: [{ path: dst, present: true, from: src }, { path: src, present: false }],
+    run: async () => {
+      await moveEntry(src, dst, isDir, apiKey)
+      return { result: { isDir, url: isDir ? null : fileUrl(dst) }, undo: () => moveEntry(dst, src, isDir, apiKey) }
+    },
+  }
+}
+
+// Remove de vez uma cópia (desfaz /copy)
+async function removeCopy(relPath, isDir) {
+  await storage.delete(relPath)
+  if (!isDir) await removeDerivatives(storage, relPath)
+  await indexed(relPath, () => metadata.removePath(relPath))
+}
+
+async function planCopy(from, to, { apiKey, view = storageView }) {
+  const { src, dst, found, isDir } = await planTransfer(from, to, view)
+  const dstFolder = firstSegment(dst)
+  requireOp(apiKey, "read", firstSegment(src))
+  requireOp(apiKey, "manage", dstFolder)
+
+  const files   = await filesAt(found)
+  const refused = isDir
+    ? files.map(f => policy.rejects(dstFolder, f.name)).find(Boolean)
+    : policy.rejects(dstFolder, path.posix.basename(dst))
+  if (refused) throw opError(415, refused)
+  const bytes  = files.reduce((sum, f) => sum + (f.size || 0), 0)
+  const quota  = quotaExceeded({ folder: dstFolder, bytes })
+  if (quota) throw opError(413, quota)
+
+  return {
+    op:      "copy",
+    from:    src,
+    to:      dst,
+    isDir,
+    bytes,
+    effects: [{ path: dst, present: true, from: src }],
+    run: async () => {
+      // Pastas levam os derivados junto; versões anteriores ficam só com a origem
+      await storage.copy(src, dst)
+      if (!isDir && await storage.exists(derivDir(src))) await storage.copy(derivDir(src), derivDir(dst))
+
+      // A cópia herda os metadados da origem (ids do curso, nome original) como um registro novo
+      const now  = new Date().toISOString()
+      const rows = (await indexed(src, () => metadata.snapshot(src))) || []
+      await indexed(dst, () => rows.length
+        ? metadata.restoreRows(rows.map(r => ({ ...r, source: "copy", uploader: apiKey.name, created_at: now })), src, dst)
+        : isDir
+          ? metadata.recordDir(dst, { source: "copy", uploader: apiKey.name })
+          : metadata.recordFile(dst, { source: "copy", uploader: apiKey.name }))
+
+      console.log("[copy] OK:", src, "→", dst, "(" + (bytes / 1024).toFixed(0) + "KB)", "key=" + apiKey.name)
+      notify("copy", [dstFolder], { from: src, to: dst, isDir, url: isDir ? null : fileUrl(dst) })
+      const result = isDir ? { isDir } : { isDir, url: fileUrl(dst), versionedUrl: versionedUrl(dst) }
+      return { result, undo: () => removeCopy(dst, isDir) }
+    },
+  }
+}
+
+// Reindexa um item que voltou da lixeira com os metadados guardados ao apagar
+function reindexRestored(restored, uploader) {
+  const rows = restored.extra?.metadata || []
+  return indexed(restored.restoredPath, () => rows.length
+    ? metadata.restoreRows(rows, restored.originalPath, restored.restoredPath)
+    : restored.isDir
+      ? metadata.recordDir(restored.restoredPath, { source: "restore", uploader })
+      : metadata.recordFile(restored.restoredPath, { source: "restore", uploader }))
+}
+
+const restoreOptions = (conflict) => ({
+  conflict,
+  onRestore: (itemDir, restoredPath) => versions.attach(itemDir + "/" + VERSIONS_DIR, restoredPath),
 })
 
-// POST /move?from=folder/sub/file&to=folder2/sub2/file — move (rename) arquivo ou pasta
-app.post("/move", auth, (req, res) => {
-  const from = req.query.from
-  const to   = req.query.to
+async function planDelete(raw, { apiKey, view = storageView, permanent = false }) {
+  const relPath = opPath(raw, "path")
+  const folder  = firstSegment(relPath)
+  requireOp(apiKey, "delete", folder)
+  if (permanent && !apiKey.admin)
+    throw opError(403, `Chave "${apiKey.name}" sem permissão para exclusão permanente`)
+
+  const found = await view.locate(relPath)
+  if (!found) throw opError(404, "Arquivo não encontrado: " + relPath)
+  const isDir = found.stat.isDir
+
+  return {
+    op:      "delete",
+    path:    relPath,
+    isDir,
+    size:    isDir ? null : found.stat.size,
+    permanent,
+    effects: [{ path: relPath, present: false }],
+    run: async () => {
+      if (permanent) {
+        await storage.delete(relPath)
+        if (!isDir) await removeDerivatives(storage, relPath)
+        await versions.remove(relPath)
+        await indexed(relPath, () => metadata.removePath(relPath))
+        console.log("[delete] OK (permanente):", relPath, "key=" + apiKey.name)
+        notify("delete", [folder], { path: relPath, folder, permanent: true })
+        return { result: { isDir, permanent: true }, undo: null }
+      }
+
+      const rows   = await indexed(relPath, () => metadata.snapshot(relPath))
+      const record = await trash.trash(relPath, {
+        deletedBy: apiKey.name,
+        extra:     { metadata: rows || [] },
+        onTrash:   (itemDir) => versions.detach(relPath, itemDir + "/" + VERSIONS_DIR),
+      })
+      await indexed(relPath, () => metadata.removePath(relPath))
+      console.log("[delete] OK (lixeira):", relPath, "id=" + record.id, "key=" + apiKey.name)
+      notify("delete", [folder], { path: relPath, folder, permanent: false, trashId: record.id })
+
+      const undo = async () => {
+        const restored = await trash.restore(folder, record.id, restoreOptions("fail"))
+        if (restored) await reindexRestored(restored, apiKey.name)
+      }
+      return { result: { isDir, permanent: false, trashId: record.id }, undo }
+    },
+  }
+}
 
-  if (!from || !to)
-    return res.status(400).json({ error: "from e to são obrigatórios" })
+async function planMkdir(raw, { apiKey, view = storageView }) {
+  const relPath = opPath(raw, "path")
+  const folder  = firstSegment(relPath)
+  requireOp(apiKey, "manage", folder)
+
+  const found = await view.locate(relPath)
+  if (found && !found.stat.isDir) throw opError(409, "Já existe um arquivo com esse nome: " + relPath)
+  const created = !found
+
+  return {
+    op:      "mkdir",
+    path:    relPath,
+    created,
+    effects: created ? [{ path: relPath, present: true }] : [],
+    run: async () => {
+      await storage.mkdir(relPath)
+      await indexed(relPath, () => metadata.recordDir(relPath, { source: "mkdir", uploader: apiKey.name }))
+      console.log("[mkdir] OK:", relPath, "key=" + apiKey.name)
+      notify("mkdir", [folder], { folder, path: relPath })
+      const undo = async () => {
+        if (!created) return
+        await storage.delete(relPath)
+        await indexed(relPath, () => metadata.removePath(relPath))
+      }
+      return { result: { created }, undo }
+    },
+  }
+}
 
-  const fromParts = String(from).split("/").filter(Boolean)
-  const toParts   = String(to).split("/").filter(Boolean)
+// Plano de um item do /batch: { op: "move" | "copy", from, to } | { op: "delete", path, permanent } | { op: "mkdir", path }
+function planOperation(item, ctx) {
+  switch (item?.op) {
+    case "move":   return planMove(item.from, item.to, ctx)
+    case "copy":   return planCopy(item.from, item.to, ctx)
+    case "delete": return planDelete(item.path, { ...ctx, permanent: item.permanent === true })
+    case "mkdir":  return planMkdir(item.path, ctx)
+  }
+  return Promise.reject(opError(400, "op inválida. Use: " + BATCH_OPS.join(", ")))
+}
+
+// DELETE /files/* — suporta qualquer profundidade (folder/file ou folder/subfolder/file).
+// Move para a lixeira da pasta; ?permanent=1 apaga de vez (somente chaves admin)
+app.delete("/files/*", audited("delete", (req) => ({ path: req.params[0], permanent: req.query.permanent === "1" || req.query.permanent === "true" })), auth("delete", (req) => [firstSegment(req.params[0])]), async (req, res) => {
+  const permanent = req.query.permanent === "1" || req.query.permanent === "true"
+  try {
+    const plan       = await planDelete(req.params[0], { apiKey: req.apiKey, permanent })
+    const { result } = await plan.run()
+    res.locals.audit = { path: plan.path, isDir: plan.isDir, size: plan.size, trashId: result.trashId }
+    res.json(permanent ? { success: true, permanent: true } : { success: true, trashId: result.trashId })
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message })
+  }
+})
 
-  if (fromParts.length < 2 || toParts.length < 2)
-    return res.status(400).json({ error: "Caminho inválido. Use: pasta/arquivo" })
+// Item da lixeira no formato da API (sem os metadados internos guardados em `extra`)
+const trashItem = ({ extra, ...record }) => record
 
-  if (!ALLOWED_FOLDERS.includes(fromParts[0]) || !ALLOWED_FOLDERS.includes(toParts[0]))
+// GET /trash/:folder — itens na lixeira da pasta
+app.get("/trash/:folder", auth("delete", (req) => [req.params.folder]), async (req, res) => {
+  const folder = req.params.folder
+  if (!ALLOWED_FOLDERS.includes(folder))
+    return res.status(400).json({ error: "Pasta inválida" })
+
+  try {
+    res.json({ folder, retentionDays: TRASH_RETENTION_DAYS, items: (await trash.list(folder)).map(trashItem) })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// POST /trash/:folder/:id/restore?conflict=fail|rename|overwrite — devolve o item ao caminho original
+app.post("/trash/:folder/:id/restore", audited("trash-restore", (req, body) => ({ folder: req.params.folder, trashId: req.params.id, path: body.path })), auth("delete", (req) => [req.params.folder]), async (req, res) => {
+  const { folder, id } = req.params
+  if (!ALLOWED_FOLDERS.includes(folder))
     return res.status(400).json({ error: "Pasta inválida" })
 
-  const safeSrcParts = fromParts.map(p => path.basename(p))
-  const safeDstParts = toParts.map(p => path.basename(p))
+  const conflict = req.query.conflict || "fail"
+  if (!RESTORE_CONFLICTS.includes(conflict))
+    return res.status(400).json({ error: "conflict inválido. Use: " + RESTORE_CONFLICTS.join(", ") })
+
+  try {
+    const restored = await trash.restore(folder, id, restoreOptions(conflict))
+    if (!restored) return res.status(404).json({ error: "Item não encontrado na lixeira" })
+    await reindexRestored(restored, req.apiKey.name)
 
-  const srcPath = path.join(UPLOAD_DIR, ...safeSrcParts)
-  const dstPath = path.join(UPLOAD_DIR, ...safeDstParts)
+    console.log("[trash] restaurado:", restored.originalPath, "→", restored.restoredPath, "key=" + req.apiKey.name)
+    res.json({ success: true, path: restored.restoredPath, ...(restored.isDir ? {} : { url: fileUrl(restored.restoredPath), versionedUrl: versionedUrl(restored.restoredPath) }) })
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message })
+  }
+})
 
-  if (!fs.existsSync(srcPath))
-    return res.status(404).json({ error: "Arquivo não encontrado" })
+// DELETE /trash/:folder/:id — apaga definitivamente um item da lixeira
+app.delete("/trash/:folder/:id", audited("trash-purge", (req) => ({ folder: req.params.folder, trashId: req.params.id })), auth("delete", (req) => [req.params.folder]), async (req, res) => {
+  const { folder, id } = req.params
+  if (!ALLOWED_FOLDERS.includes(folder))
+    return res.status(400).json({ error: "Pasta inválida" })
 
-  if (fs.existsSync(dstPath))
-    return res.status(409).json({ error: "Já existe um arquivo com esse nome no destino" })
+  try {
+    if (!(await trash.purge(folder, id))) return res.status(404).json({ error: "Item não encontrado na lixeira" })
+  } catch (err) {
+    return res.status(500).json({ error: err.message })
+  }
+  console.log("[trash] removido definitivamente:", folder + "/" + id, "key=" + req.apiKey.name)
+  res.json({ success: true })
+})
 
+// Campos de auditoria de /move e /copy (a rota troca pelos caminhos normalizados)
+const auditTransfer = (req) => ({ from: req.query.from ?? null, to: req.query.to ?? null })
+
+// POST /move?from=folder/sub/file&to=folder2/sub2/file — move (rename) arquivo ou pasta
+app.post("/move", audited("move", auditTransfer), auth("manage", (req) => [firstSegment(req.query.from), firstSegment(req.query.to)]), async (req, res) => {
   try {
-    fs.mkdirSync(path.dirname(dstPath), { recursive: true })
-    fs.renameSync(srcPath, dstPath)
-    console.log("[move] OK:", from, "→", to)
+    const plan = await planMove(req.query.from, req.query.to, { apiKey: req.apiKey })
+    res.locals.audit = { from: plan.from, to: plan.to, isDir: plan.isDir }
+    await plan.run()
     res.json({ success: true })
   } catch (err) {
-    res.status(500).json({ error: err.message })
+    res.status(err.status || 500).json({ error: err.message })
+  }
+})
+
+// POST /copy?from=folder/sub/file&to=folder2/sub2/file — copia arquivo ou pasta (leitura na origem)
+app.post("/copy", audited("copy", auditTransfer), auth("manage", (req) => [firstSegment(req.query.to)]), async (req, res) => {
+  try {
+    const plan       = await planCopy(req.query.from, req.query.to, { apiKey: req.apiKey })
+    res.locals.audit = { from: plan.from, to: plan.to, isDir: plan.isDir, size: plan.bytes }
+    const { result } = await plan.run()
+    res.json({ success: true, path: plan.to, ...result })
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message })
   }
 })
 
 // POST /mkdir?folder=X&subfolder=Y&name=Z  — cria subpasta
-app.post("/mkdir", auth, (req, res) => {
+app.post("/mkdir", audited("mkdir", (req) => ({ folder: req.query.folder ?? null })), auth("manage", queryFolder), async (req, res) => {
   const folder    = req.query.folder
-  const subfolder = safeSub(req.query.subfolder)
   const name      = req.query.name ? path.basename(req.query.name) : null
 
   if (!folder || !ALLOWED_FOLDERS.includes(folder))
     return res.status(400).json({ error: "Pasta inválida. Use: " + ALLOWED_FOLDERS.join(", ") })
+  let subfolder
+  try {
+    subfolder = safeSub(req.query.subfolder)
+  } catch (err) {
+    return res.status(err.status).json({ error: err.message })
+  }
 
   if (!name)
     return res.status(400).json({ error: "name é obrigatório" })
 
-  const dirPath = subfolder
-    ? path.join(UPLOAD_DIR, folder, subfolder, name)
-    : path.join(UPLOAD_DIR, folder, name)
+  const relPath = subfolder ? folder + "/" + subfolder + "/" + name : folder + "/" + name
+  res.locals.audit = { path: relPath }
 
   try {
-    fs.mkdirSync(dirPath, { recursive: true })
-    console.log("[mkdir] OK:", dirPath)
+    const plan = await planMkdir(relPath, { apiKey: req.apiKey })
+    await plan.run()
     res.json({ success: true })
   } catch (err) {
     console.error("[mkdir] error:", err.message)
-    res.status(500).json({ error: err.message })
+    res.status(err.status || 500).json({ error: err.message })
   }
 })
 
-// GET /health
-app.get("/health", (_, res) => {
+// Operação do /batch como aparece na resposta
+function batchItem(item, index) {
+  const base = { index, op: item?.op ?? null }
+  return item?.op === "move" || item?.op === "copy"
+    ? { ...base, from: item.from ?? null, to: item.to ?? null }
+    : { ...base, path: item?.path ?? null, ...(item?.op === "delete" ? { permanent: item.permanent === true } : {}) }
+}
+
+// POST /batch — JSON { operations: [{ op, from, to } | { op, path[, permanent] }], dryRun, rollback }
+// Antes de executar, simula a lista inteira (caminhos, permissões, conflitos, policy, cotas, cada
+// operação vendo o efeito das anteriores); se algo falhar, nada é executado. dryRun: só a simulação.
+// Na execução, para na primeira falha (as seguintes ficam "skipped"); com rollback, desfaz as já
+// concluídas em ordem inversa (exclusão permanente não pode ser desfeita, então não é aceita).
+app.post("/batch", express.json({ limit: "5mb" }), audited("batch"), auth(null), async (req, res) => {
+  const body       = req.body || {}
+  const operations = body.operations
+  const dryRun     = body.dryRun === true || req.query.dryRun === "1"
+  const rollback   = body.rollback === true
+
+  if (!Array.isArray(operations) || !operations.length || operations.length > BATCH_MAX_OPS)
+    return res.status(400).json({ error: "operations deve ser uma lista com 1 a " + BATCH_MAX_OPS + " itens" })
+  if (rollback && operations.some(op => op?.op === "delete" && op.permanent === true))
+    return res.status(400).json({ error: "Exclusão permanente não pode ser desfeita; não use permanent com rollback" })
+
+  const apiKey  = req.apiKey
+  const results = operations.map(batchItem)
+  const failure = (i, err) => Object.assign(results[i], { status: "failed", code: err.status || 500, error: err.message })
+  const reply   = (status) => {
+    const failed    = results.filter(r => r.status === "failed")
+    const conflicts = failed.filter(r => r.code === 409).length
+    res.status(status).json({ dryRun, rollback, ok: !failed.length, conflicts, results })
+  }
+
   try {
-    const folders = {}
-    let totalGeral = 0
+    const view = createDryView()
+    for (let i = 0; i < operations.length; i++) {
+      try {
+        const plan = await planOperation(operations[i], { apiKey, view })
+        view.apply(plan.effects)
+        Object.assign(results[i], { status: "ok", ...(plan.isDir !== undefined ? { isDir: plan.isDir } : {}), ...(plan.op === "mkdir" ? { created: plan.created } : {}) })
+      } catch (err) {
+        failure(i, err)
+      }
+    }
+    const invalid = results.find(r => r.status === "failed")
+    if (dryRun) {
+      res.locals.audit = [] // simulação não altera nada
+      return reply(200)
+    }
+    if (invalid) {
+      results.forEach(r => { if (r.status === "ok") r.status = "skipped" })
+      return reply(invalid.code)
+    }
 
-    ALLOWED_FOLDERS.forEach((f) => {
-      const dir = path.join(UPLOAD_DIR, f)
-      if (!fs.existsSync(dir)) {
-        folders[f] = { erro: "pasta não encontrada" }
-        return
+    const done = []
+    let failed = null
+    for (let i = 0; i < operations.length; i++) {
+      if (failed) {
+        Object.assign(results[i], { status: "skipped" })
+        continue
+      }
+      try {
+        // Planeja de novo contra o armazenamento real: algo pode ter mudado desde a simulação
+        const plan = await planOperation(operations[i], { apiKey })
+        const { result, undo } = await plan.run()
+        Object.assign(results[i], { status: "done", ...result })
+        done.push({ index: i, undo })
+      } catch (err) {
+        failure(i, err)
+        failed = results[i]
       }
+    }
 
-      const entries = fs.readdirSync(dir, { withFileTypes: true })
-      const arquivosDiretos = entries.filter(e => e.isFile()).length
-      const subpastasEntries = entries.filter(e => e.isDirectory())
+    if (failed && rollback) {
+      for (const { index, undo } of done.reverse()) {
+        try {
+          if (undo) await undo()
+          results[index].status = "rolled-back"
+        } catch (err) {
+          console.error("[batch] erro ao desfazer operação", index + ":", err.message)
+          results[index].rollbackError = err.message
+        }
+      }
+    }
 
-      const subpastas = {}
-      let totalSubpastas = 0
+    // Na auditoria, um registro por operação (ligados pelo id do lote)
+    const batchId = uuidv4()
+    res.locals.audit = results.map(r => ({
+      action:  r.op,
+      result:  { done: "ok", failed: "error", "rolled-back": "rolled-back", skipped: "skipped" }[r.status],
+      status:  r.code ?? null,
+      path:    r.path,
+      from:    r.from,
+      to:      r.to,
+      isDir:   r.isDir,
+      trashId: r.trashId,
+      error:   r.error ?? null,
+      batch:   batchId,
+      index:   r.index,
+    }))
+
+    console.log("[batch]", failed ? "falhou:" : "OK:", done.length + "/" + operations.length, "operações", failed && rollback ? "(desfeitas)" : "", "key=" + apiKey.name)
+    reply(failed ? failed.code : 200)
+  } catch (err) {
+    console.error("[batch] error:", err.message)
+    res.status(500).json({ error: err.message })
+  }
+})
 
-      subpastasEntries.forEach(sub => {
-        const subDir = path.join(dir, sub.name)
-        const subEntries = fs.readdirSync(subDir, { withFileTypes: true })
-        const files = subEntries.filter(e => e.isFile()).map(e => e.name)
-        subpastas[sub.name] = { total: files.length, arquivos: files }
-        totalSubpastas += files.length
-      })
+// Caminho de arquivo para /versions/*: { relPath } ou { error }
+function versionTarget(raw) {
+  const parts = safeParts(raw)
+  if (!parts || parts.length < 2 || !ALLOWED_FOLDERS.includes(parts[0]))
+    return { error: "Caminho inválido. Use: pasta/arquivo ou pasta/subpasta/arquivo" }
+  return { relPath: parts.join("/") }
+}
 
-      const total = arquivosDiretos + totalSubpastas
-      totalGeral += total
+// GET /versions/pasta/sub/arquivo — lista as versões anteriores
+// GET /versions/pasta/sub/arquivo?v=N — baixa a versão N
+app.get("/versions/*", auth("read", (req) => [firstSegment(req.params[0])]), async (req, res) => {
+  const { relPath, error } = versionTarget(req.params[0])
+  if (error) return res.status(400).json({ error })
 
-      folders[f] = {
-        total,
-        ...(arquivosDiretos > 0 && { direto: arquivosDiretos }),
-        ...subpastas,
-      }
+  res.set("Cache-Control", "no-store")
+  try {
+    if (req.query.v !== undefined) {
+      const version = await versions.get(relPath, req.query.v)
+      const stat    = version && await storage.stat(version.key)
+      if (!stat) return res.status(404).json({ error: "Versão não encontrada" })
+      const name = path.basename(relPath, path.extname(relPath)) + ".v" + version.version + path.extname(relPath)
+      res.attachment(name)
+      return await sendStored(storage, req, res, version.key, stat)
+    }
+
+    res.json({
+      path:     relPath,
+      url:      await storage.exists(relPath) ? fileUrl(relPath) : null,
+      versions: (await versions.list(relPath)).reverse().map(e => ({
+        ...e,
+        downloadUrl: BASE_URL + "/versions/" + relPath.split("/").map(encodeURIComponent).join("/") + "?v=" + e.version,
+      })),
+    })
+  } catch (err) {
+    if (!res.headersSent) res.status(500).json({ error: err.message })
+  }
+})
+
+// POST /versions/pasta/sub/arquivo?v=N — torna a versão N o conteúdo atual
+// (o conteúdo atual vira uma nova versão, então a operação pode ser desfeita)
+app.post("/versions/*", audited("version-restore", (req, body) => ({ path: req.params[0], version: req.query.v ?? null, saved: body.saved })), auth("manage", (req) => [firstSegment(req.params[0])]), async (req, res) => {
+  const { relPath, error } = versionTarget(req.params[0])
+  if (error) return res.status(400).json({ error })
+  if (!req.query.v) return res.status(400).json({ error: "v é obrigatório" })
+
+  try {
+    const restored = await versions.restore(relPath, req.query.v, { replacedBy: req.apiKey.name })
+    if (!restored) return res.status(404).json({ error: "Versão não encontrada" })
+
+    await removeDerivatives(storage, relPath)
+    await indexed(relPath, () => metadata.recordFile(relPath, { source: "version-restore", uploader: req.apiKey.name }))
+    console.log("[versions] restaurada:", relPath, "v" + restored.restored, "key=" + req.apiKey.name)
+    res.json({ success: true, path: relPath, url: fileUrl(relPath), versionedUrl: versionedUrl(relPath), restored: restored.restored, saved: restored.saved?.version ?? null })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// --- Gerenciamento de chaves (somente chaves admin) ---
+
+// GET /keys — lista chaves (sem segredos)
+app.get("/keys", auth("admin"), (_req, res) => {
+  res.json({ keys: keys.list() })
+})
+
+// POST /keys { name, folders, ops, admin } — cria chave; o segredo só é retornado aqui
+app.post("/keys", express.json(), auth("admin"), (req, res) => {
+  try {
+    const created = keys.create(req.body || {})
+    console.log("[keys] criada:", created.name, "key=" + req.apiKey.name)
+    res.status(201).json(created)
+  } catch (err) {
+    res.status(err.status || 400).json({ error: err.message })
+  }
+})
+
+// PATCH /keys/:name { folders?, ops?, admin?, disabled? }
+app.patch("/keys/:name", express.json(), auth("admin"), (req, res) => {
+  try {
+    const updated = keys.update(req.params.name, req.body || {})
+    if (!updated) return res.status(404).json({ error: "Chave não encontrada" })
+    console.log("[keys] atualizada:", updated.name, "key=" + req.apiKey.name)
+    res.json(updated)
+  } catch (err) {
+    res.status(400).json({ error: err.message })
+  }
+})
+
+// POST /keys/:name/rotate?grace=3600 — gera novo segredo (o anterior vale por `grace` segundos)
+app.post("/keys/:name/rotate", auth("admin"), (req, res) => {
+  const rotated = keys.rotate(req.params.name, req.query.grace)
+  if (!rotated) return res.status(404).json({ error: "Chave não encontrada" })
+  console.log("[keys] rotacionada:", rotated.name, "key=" + req.apiKey.name)
+  res.json(rotated)
+})
+
+// DELETE /keys/:name — revoga a chave
+app.delete("/keys/:name", auth("admin"), (req, res) => {
+  if (!keys.remove(req.params.name)) return res.status(404).json({ error: "Chave não encontrada" })
+  console.log("[keys] removida:", req.params.name, "key=" + req.apiKey.name)
+  res.json({ success: true })
+})
+
+// --- Quarentena (somente chaves admin) ---
+
+// GET /quarantine — arquivos recusados na inspeção (nunca servidos por /files)
+app.get("/quarantine", auth("admin"), (_req, res) => {
+  res.set("Cache-Control", "no-store").json({ items: quarantine.list() })
+})
+
+// DELETE /quarantine/:id — apaga definitivamente
+app.delete("/quarantine/:id", auth("admin"), (req, res) => {
+  if (!quarantine.remove(req.params.id)) return res.status(404).json({ error: "Item não encontrado na quarentena" })
+  console.log("[quarantine] removido:", req.params.id, "key=" + req.apiKey.name)
+  res.json({ success: true })
+})
+
+// --- Webhooks (somente chaves admin) ---
+
+// GET /webhooks — lista webhooks (sem segredos)
+app.get("/webhooks", auth("admin"), (_req, res) => {
+  res.json({ webhooks: webhooks.list() })
+})
+
+// POST /webhooks { url, events?, folders?, secret? } — cria webhook; o segredo só é retornado aqui
+app.post("/webhooks", express.json(), auth("admin"), (req, res) => {
+  try {
+    const created = webhooks.create(req.body || {})
+    console.log("[webhooks] criado:", created.id, created.url, "key=" + req.apiKey.name)
+    res.status(201).json(created)
+  } catch (err) {
+    res.status(err.status || 400).json({ error: err.message })
+  }
+})
+
+// GET /webhooks/deliveries?webhook=&state=pending|delivered|failed&limit= — entregas recentes
+app.get("/webhooks/deliveries", auth("admin"), (req, res) => {
+  const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 50), 500)
+  res.set("Cache-Control", "no-store").json({
+    deliveries: webhooks.deliveries({ webhookId: req.query.webhook, state: req.query.state, limit }),
+  })
+})
+
+// POST /webhooks/deliveries/:id/retry — reenvia uma entrega
+app.post("/webhooks/deliveries/:id/retry", auth("admin"), (req, res) => {
+  const delivery = webhooks.redeliver(req.params.id)
+  if (!delivery) return res.status(404).json({ error: "Entrega não encontrada" })
+  res.json(delivery)
+})
+
+// PATCH /webhooks/:id { url?, events?, folders?, secret?, disabled? }
+app.patch("/webhooks/:id", express.json(), auth("admin"), (req, res) => {
+  try {
+    const updated = webhooks.update(req.params.id, req.body || {})
+    if (!updated) return res.status(404).json({ error: "Webhook não encontrado" })
+    console.log("[webhooks] atualizado:", updated.id, "key=" + req.apiKey.name)
+    res.json(updated)
+  } catch (err) {
+    res.status(err.status || 400).json({ error: err.message })
+  }
+})
+
+// DELETE /webhooks/:id — remove o webhook e o histórico de entregas
+app.delete("/webhooks/:id", auth("admin"), (req, res) => {
+  if (!webhooks.remove(req.params.id)) return res.status(404).json({ error: "Webhook não encontrado" })
+  console.log("[webhooks] removido:", req.params.id, "key=" + req.apiKey.name)
+  res.json({ success: true })
+})
+
+// GET /policy — regras das pastas que a chave enxerga (para o cliente validar antes de enviar)
+app.get("/policy", auth(null), (req, res) => {
+  const visible = Object.values(policy.all())
+    .filter(rule => req.apiKey.folders.includes("*") || req.apiKey.folders.includes(rule.folder))
+  res.set("Cache-Control", "no-store").json({
+    folders: visible.map(rule => ({
+      ...rule,
+      compression: rule.compression && {
+        profile:  rule.compression.profile,
+        dpi:      rule.compression.dpi,
+        maxWidth: rule.compression.maxWidth,
+      },
+      private: isPrivate(rule.folder),
+    })),
+  })
+})
+
+// GET /search?folder=&subfolder=&q=&id_curso=&id_disciplina=&id_professor=&uploader=&mimetype=&checksum=&from=&to=&limit=&offset=
+// Busca no índice de metadados; chaves restritas só enxergam as próprias pastas
+app.get("/search", auth("read", queryFolder), (req, res) => {
+  const folder = req.query.folder
+  if (folder && !ALLOWED_FOLDERS.includes(folder))
+    return res.status(400).json({ error: "Pasta inválida" })
+
+  const limit  = Math.min(Math.max(1, parseInt(req.query.limit) || 50), 500)
+  const offset = Math.max(0, parseInt(req.query.offset) || 0)
+  const allowedFolders = req.apiKey.folders.includes("*") ? null : req.apiKey.folders
+
+  try {
+    const { total, rows } = metadata.search({
+      ...req.query,
+      folders:     folder ? null : allowedFolders,
+      subfolder:   safeSub(req.query.subfolder),
+      includeDirs: req.query.dirs === "1",
+    }, { limit, offset })
+
+    res.json({
+      total,
+      limit,
+      offset,
+      results: rows.map(r => ({
+        path:          r.path,
+        url:           r.is_dir ? null : fileUrl(r.path),
+        versionedUrl:  r.is_dir ? null : versionedUrl(r.path, r.checksum),
+        folder:        r.folder,
+        subfolder:     r.dir || null,
+        filename:      r.name,
+        isDir:         !!r.is_dir,
+        originalname:  r.original_name,
+        uploader:      r.uploader,
+        id_curso:      r.id_curso,
+        id_disciplina: r.id_disciplina,
+        id_professor:  r.id_professor,
+        mimetype:      r.mimetype,
+        size:          r.size,
+        checksum:      r.checksum,
+        source:        r.source,
+        createdAt:     r.created_at,
+        updatedAt:     r.updated_at,
+        modified:      r.modified_at,
+      })),
     })
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message })
+  }
+})
+
+// GET /jobs/:id — estado de um job (queued | running | done | failed), progresso e resultado
+app.get("/jobs/:id", auth(null), (req, res) => {
+  const job = jobs.get(req.params.id)
+  // Só a chave que criou o job (ou admin) enxerga
+  if (!job || (job.key !== req.apiKey.name && !req.apiKey.admin))
+    return res.status(404).json({ error: "Job não encontrado" })
+
+  res.set("Cache-Control", "no-store").json({
+    id:         job.id,
+    type:       job.type,
+    state:      job.state,
+    progress:   job.progress,
+    result:     job.result,
+    error:      job.error,
+    createdAt:  job.createdAt,
+    startedAt:  job.startedAt,
+    finishedAt: job.finishedAt,
+  })
+})
+
+// POST /reindex — reconstrói o índice de metadados a partir do disco (admin)
+app.post("/reindex", auth("admin"), async (req, res) => {
+  try {
+    const result = await metadata.reindex()
+    console.log("[reindex] OK:", JSON.stringify(result), "key=" + req.apiKey.name)
+    res.json({ success: true, ...result })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// GET /audit?prefix=&action=&key=&result=&from=&to=&limit=&offset=[&format=csv] — registros de
+// auditoria do mais novo para o mais antigo (admin). prefix vale para path, from e to do registro;
+// action aceita lista separada por vírgula; from/to são datas ISO, como em /search.
+// Em CSV vem tudo que passar nos filtros (sem limit/offset).
+app.get("/audit", auth("admin"), async (req, res) => {
+  const filters = {
+    prefix:  req.query.prefix ? String(req.query.prefix).replace(/^\/+/, "") : null,
+    actions: String(req.query.action || "").split(",").map(s => s.trim()).filter(Boolean),
+    key:     req.query.key || null,
+    result:  req.query.result || null,
+    since:   req.query.from || null,
+    until:   req.query.to || null,
+  }
+  res.set("Cache-Control", "no-store")
+
+  try {
+    if (req.query.format === "csv") {
+      res.set({
+        "Content-Type":        "text/csv; charset=utf-8",
+        "Content-Disposition": `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`,
+      })
+      res.write(csvLine(CSV_FIELDS))
+      for await (const e of audit.entries(filters)) {
+        if (!res.write(csvLine(CSV_FIELDS.map(f => e[f])))) await once(res, "drain")
+      }
+      return res.end()
+    }
+
+    const limit  = Math.min(Math.max(1, parseInt(req.query.limit) || 100), 1000)
+    const offset = Math.max(0, parseInt(req.query.offset) || 0)
+    const { rows, hasMore } = await audit.query(filters, { limit, offset })
+    res.json({ limit, offset, hasMore, entries: rows })
+  } catch (err) {
+    console.error("[audit] erro na consulta:", err.message)
+    if (res.headersSent) return res.destroy(err)
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Prontidão:disco local gravável (INCOMING_DIR, onde chegam os uploads), armazenamento acessível
+// (UPLOAD_DIR ou o bucket) e ghostscript disponível. Checar o gs abre um processo, então o
+// resultado fica em cache por GS_CHECK_TTL_MS
+const GS_CHECK_TTL_MS = 60_000
+let gsCheck = null // { at, promise }
+
+function checkGhostscript() {
+  if (!gsCheck || Date.now() - gsCheck.at > GS_CHECK_TTL_MS) {
+    gsCheck = {
+      at:      Date.now(),
+      promise: execFileAsync("gs", ["--version"], { timeout: 5000 })
+        .then(({ stdout }) => ({ ok: true, version: stdout.trim() }))
+        .catch((err) => ({ ok: false, error: err.code === "ENOENT" ? "gs não encontrado" : err.message })),
+    }
+  }
+  return gsCheck.promise
+}
+
+function checkDisk() {
+  const probe = path.join(INCOMING_DIR, ".health-" + process.pid)
+  try {
+    fs.writeFileSync(probe, "ok")
+    fs.unlinkSync(probe)
+    const { bavail, bsize } = fs.statfsSync(storage.name === "local" ? UPLOAD_DIR : INCOMING_DIR)
+    return { ok: true, freeBytes: bavail * bsize }
+  } catch (err) {
+    return { ok: false, error: err.message }
+  }
+}
+
+async function checkStorage() {
+  try {
+    await storage.check()
+    return { ok: true, driver: storage.name }
+  } catch (err) {
+    return { ok: false, driver: storage.name, error: err.message }
+  }
+}
+
+// GET /health — liveness/readiness: 200 "ok" ou 503 "degraded". Não lista arquivos
+// (contagens por pasta ficam em GET /stats, autenticado)
+app.get("/health", async (_, res) => {
+  const checks = { disk: checkDisk(), storage: await checkStorage(), ghostscript: await checkGhostscript() }
+  const ok     = Object.values(checks).every(c => c.ok)
+  res.status(ok ? 200 : 503).set("Cache-Control", "no-store").json({ status: ok ? "ok" : "degraded", checks })
+})
+
+// GET /stats[?folder=X][&id_professor=N] — arquivos e bytes por pasta e subpasta (recursivo: cada
+// nível soma tudo abaixo dele), lidos do índice de metadados em vez de varrer o disco.
+// Traz também as cotas da policy. Chaves restritas só veem as próprias pastas.
+app.get("/stats", auth("read", queryFolder), (req, res) => {
+  const folder = req.query.folder
+  if (folder && !ALLOWED_FOLDERS.includes(folder))
+    return res.status(400).json({ error: "Pasta inválida" })
+
+  const visible = ALLOWED_FOLDERS.filter(f => (!folder || f === folder)
+    && (req.apiKey.folders.includes("*") || req.apiKey.folders.includes(f)))
+  const node    = () => ({ files: 0, bytes: 0, subfolders: {} })
+  const folders = Object.fromEntries(visible.map(f => [f, node()]))
+  const totals  = { files: 0, bytes: 0 }
 
-    res.json({ status: "ok", total_arquivos: totalGeral, folders })
+  try {
+    for (const { folder: f, dir, files, bytes } of metadata.usage()) {
+      if (!folders[f]) continue
+      let n = folders[f]
+      for (const part of ["", ...(dir ? dir.split("/") : [])]) {
+        if (part) n = n.subfolders[part] ||= node()
+        n.files += files
+        n.bytes += bytes
+      }
+      totals.files += files
+      totals.bytes += bytes
+    }
   } catch (err) {
-    res.status(500).json({ status: "error", error: err.message })
+    return res.status(500).json({ error: err.message })
   }
+
+  for (const f of visible) folders[f].quotaBytes = policy.get(f)?.quotaBytes ?? null
+
+  const body = { totals, folders }
+  if (req.query.id_professor) {
+    const id = String(req.query.id_professor)
+    body.professor = { id_professor: id, ...metadata.professorUsage(id), quotaBytes: policy.professorQuota(id) }
+  }
+  res.set("Cache-Control", "no-store").json(body)
+})
+
+// Compara o "Authorization: Bearer" com METRICS_TOKEN sem vazar tempo
+function metricsTokenMatches(req) {
+  const m = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "")
+  if (!METRICS_TOKEN || !m) return false
+  const digest = (v) => crypto.createHash("sha256").update(v).digest()
+  return crypto.timingSafeEqual(digest(m[1]), digest(METRICS_TOKEN))
+}
+
+// GET /metrics — Prometheus (uploads, bytes economizados pelo compress(), duração e falhas do gs/sharp)
+app.get("/metrics", (req, res, next) => metricsTokenMatches(req) ? next() : auth("admin")(req, res, next), (_, res) => {
+  res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8")
+    .set("Cache-Control", "no-store")
+    .send(metrics.render())
 })
 
 // Error handler global
@@ -588,9 +2721,69 @@ app.use((err, _req, res, _next) => {
   res.status(500).json({ error: err.message || "Erro interno" })
 })
 
-app.listen(PORT, () => {
-  console.log("cpcon-files rodando em :" + PORT)
-  console.log("Arquivos em:", UPLOAD_DIR)
-  console.log("URL base:", BASE_URL)
-  console.log("Limite upload: 5GB (multer) | Imagens: 5MB | PDFs: 20MB | Outros: 20MB")
-})
+// Copia os arquivos das pastas em UPLOAD_DIR (disco) para o armazenamento configurado (bucket),
+// incluindo lixeira, versões e derivados; DATA_DIR fica de fora. Objetos que já existem com o
+// mesmo tamanho são pulados, então dá para repetir até a virada para STORAGE_DRIVER=s3.
+async function migrateStorage() {
+  if (storage.name === "local") throw new Error("Configure STORAGE_DRIVER=s3 e S3_* com o destino da migração")
+  const source = createLocalDriver({ root: UPLOAD_DIR })
+  const result = { copied: 0, skipped: 0, bytes: 0 }
+
+  for (const folder of ALLOWED_FOLDERS) {
+    for (const entry of await source.list(folder, { recursive: true })) {
+      if (entry.isDir) {
+        await storage.mkdir(entry.key) // preserva pastas vazias
+        continue
+      }
+      const current = await storage.stat(entry.key)
+      if (current && current.size === entry.size) {
+        result.skipped++
+        continue
+      }
+      await storage.put(entry.key, source.localPath(entry.key), { keep: true })
+      result.copied++
+      result.bytes += entry.size
+      console.log("[migrate] OK:", entry.key, "(" + (entry.size / 1024).toFixed(0) + "KB)")
+    }
+  }
+  return result
+}
+
+// `node server.js --reindex` — reconstrói o índice e sai, sem subir o servidor
+// `node server.js --migrate-storage` — copia UPLOAD_DIR para o bucket e sai
+if (process.argv.includes("--reindex")) {
+  metadata.reindex()
+    .then((result) => {
+      console.log("[reindex] OK:", JSON.stringify(result))
+      process.exit(0)
+    })
+    .catch((err) => {
+      console.error("[reindex] erro:", err.message)
+      process.exit(1)
+    })
+} else if (process.argv.includes("--migrate-storage")) {
+  migrateStorage()
+    .then((result) => {
+      console.log("[migrate] concluído:", JSON.stringify(result), "→", STORAGE_LABEL)
+      process.exit(0)
+    })
+    .catch((err) => {
+      console.error("[migrate] erro:", err.message)
+      process.exit(1)
+    })
+} else {
+  // Restos de uploads e de cópias temporárias interrompidos pelo reinício
+  for (const name of fs.readdirSync(INCOMING_DIR)) fs.rmSync(path.join(INCOMING_DIR, name), { force: true })
+  for (const name of fs.readdirSync(SCRATCH_DIR)) fs.rmSync(path.join(SCRATCH_DIR, name), { recursive: true, force: true })
+  jobs.start()
+  webhooks.start()
+  const purgeTrash = () => trash.purgeExpired().catch((err) => console.error("[trash] erro na limpeza:", err.message))
+  purgeTrash()
+  setInterval(purgeTrash, 3600 * 1000).unref()
+  app.listen(PORT, () => {
+    console.log("cpcon-files rodando em :" + PORT)
+    console.log("Arquivos em:", STORAGE_LABEL)
+    console.log("URL base:", BASE_URL)
+    console.log("Policy:", POLICY_FILE)
+  })
+}